@@ -4,6 +4,11 @@
  * Manages the offscreen document and routes requests to it.
  */
 
+importScripts('protocol.js', 'history-store.js');
+
+const OFFSCREEN_PATH = 'offscreen.html';
+let creatingOffscreen = null; // Only one offscreen document may exist: share an in-flight create
+
 // Ensure offscreen document is open
 async function setupOffscreenDocument(path) {
     // Check if offscreen document already exists
@@ -15,71 +20,666 @@ async function setupOffscreenDocument(path) {
         return;
     }
 
-    // Create offscreen document
-    await chrome.offscreen.createDocument({
-        url: path,
-        reasons: ['DOM_PARSER'], // Justification (we need DOM to host iframe)
-        justification: 'Sandboxing TensorFlow.js execution'
+    if (!creatingOffscreen) {
+        // Create offscreen document
+        creatingOffscreen = chrome.offscreen.createDocument({
+            url: path,
+            reasons: ['DOM_PARSER'], // Justification (we need DOM to host iframe)
+            justification: 'Sandboxing TensorFlow.js execution'
+        }).finally(() => { creatingOffscreen = null; });
+
+        await creatingOffscreen;
+        // A fresh sandbox starts without the user's feedback examples
+        syncFeedback();
+        return;
+    }
+    await creatingOffscreen;
+}
+
+// The offscreen document (or the sandbox inside it) is gone or hung: start over
+async function recreateOffscreenDocument() {
+    console.warn("[Background] Offscreen sandbox not responding, recreating it");
+    await chrome.offscreen.closeDocument().catch(() => { /* Already closed */ });
+    await chrome.storage.session.set({ modelStatus: null });
+    await setupOffscreenDocument(OFFSCREEN_PATH);
+}
+
+/**
+ * Send a message to the offscreen document, recreating it once if nobody answers.
+ * A timeout only counts as dead once the model was ready: loading may take longer.
+ */
+async function sendToOffscreen(message) {
+    const send = () => chrome.runtime.sendMessage(message)
+        .then(response => response || protocolError(PROTOCOL_ERRORS.SANDBOX_UNAVAILABLE, "No reply from the offscreen document"))
+        .catch(err => protocolError(PROTOCOL_ERRORS.SANDBOX_UNAVAILABLE, err.message));
+    await setupOffscreenDocument(OFFSCREEN_PATH);
+
+    const response = await send();
+    const { modelStatus } = await chrome.storage.session.get(['modelStatus']);
+    const gone = response.code === PROTOCOL_ERRORS.SANDBOX_UNAVAILABLE ||
+        (response.code === PROTOCOL_ERRORS.TIMEOUT && modelStatus?.state === 'ready');
+    if (!gone) return response;
+
+    await recreateOffscreenDocument();
+    return send();
+}
+
+// Predictions in flight per tab, so a new document or tab close can cancel them
+const tabPredictions = new Map(); // tabId -> Map of requestId -> documentId
+let predictionCounter = 0;
+
+async function forwardPrediction(sender, request) {
+    const tabId = sender.tab.id;
+    const requestId = `${tabId}:${++predictionCounter}`;
+    if (!tabPredictions.has(tabId)) tabPredictions.set(tabId, new Map());
+    tabPredictions.get(tabId).set(requestId, sender.documentId);
+
+    const payload = request.action === 'predict' ? { text: request.text } : { texts: request.texts };
+    try {
+        return await sendToOffscreen(createMessage(request.action, { ...payload, requestId }));
+    } finally {
+        tabPredictions.get(tabId)?.delete(requestId);
+    }
+}
+
+/**
+ * Cancel the predictions of a tab, or only those of one of its documents
+ */
+function cancelTabPredictions(tabId, documentId = null) {
+    const predictions = tabPredictions.get(tabId) || new Map();
+    const requestIds = Array.from(predictions.keys())
+        .filter(requestId => !documentId || predictions.get(requestId) === documentId);
+    requestIds.forEach(requestId => predictions.delete(requestId));
+    if (predictions.size === 0) tabPredictions.delete(tabId);
+    if (requestIds.length === 0) return;
+
+    console.log(`[Background] Cancelling ${requestIds.length} prediction(s) of tab ${tabId}`);
+    chrome.runtime.sendMessage(createMessage('cancel', { requestIds }))
+        .catch(() => { /* No offscreen document: nothing is running */ });
+}
+
+/**
+ * Real model lifecycle from the sandbox. Starts loading if nothing is running yet.
+ */
+async function getModelStatus() {
+    const existingContexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT']
     });
+    if (existingContexts.length === 0) {
+        warmUpModel();
+        return { state: 'not_started', progress: 0, error: null, ready: false };
+    }
+
+    const status = await sendToOffscreen(createMessage('getModelStatus'));
+    if (isProtocolError(status)) return { state: 'failed', progress: 0, error: status.error, code: status.code, ready: false };
+    return status;
+}
+
+// Load the model ahead of the first scan (browser startup, install/update)
+async function warmUpModel() {
+    try {
+        const response = await sendToOffscreen(createMessage('initModel'));
+        console.log("[Background] Model warm-up:", response.success ? "ready" : `${response.code}: ${response.error}`);
+    } catch (err) {
+        console.warn("[Background] Model warm-up failed:", err.message);
+    }
 }
 
+// Push stored user verdicts (see content.js feedback menu) into the sandbox.
+// The sandbox cannot read chrome.storage itself.
+async function syncFeedback() {
+    try {
+        const { feedbackVerdicts = [] } = await chrome.storage.local.get(['feedbackVerdicts']);
+        const response = await chrome.runtime.sendMessage(createMessage('setFeedback', {
+            confirmed: feedbackVerdicts.filter(v => v.verdict === 'confirmed').map(v => ({ text: v.context, type: v.type })),
+            rejected: feedbackVerdicts.filter(v => v.verdict === 'rejected').map(v => v.context)
+        }));
+        console.log("[Background] Feedback synced to sandbox:", response);
+    } catch (err) {
+        console.warn("[Background] Feedback sync failed:", err.message);
+    }
+}
+
+chrome.storage.onChanged.addListener(async (changes, area) => {
+    if (area !== 'local' || !changes.feedbackVerdicts) return;
+
+    const existingContexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT']
+    });
+    // If there is no sandbox yet, it gets synced when it is created
+    if (existingContexts.length > 0) {
+        syncFeedback();
+    }
+});
+
 // Initialize on install/startup
-chrome.runtime.onInstalled.addListener(async () => {
-    await setupOffscreenDocument('offscreen.html');
-    console.log("[Background] Offscreen document created");
+chrome.runtime.onInstalled.addListener(() => warmUpModel());
+chrome.runtime.onStartup.addListener(() => warmUpModel());
+
+// Price drip tracking: per-tab timeline of the prices seen during a checkout flow.
+// Kept in session storage so it survives the service worker being suspended.
+const MAX_TIMELINE_LENGTH = 20;
+const FEE_LABELS = /fee|charge|tax|vat|surcharge|shipping|delivery|service|handling|processing|insurance|protection|tip|donation/i;
+let priceQueue = Promise.resolve(); // Snapshots are applied one at a time (read-modify-write)
+
+async function getPriceTimelines() {
+    const result = await chrome.storage.session.get(['priceTimelines']);
+    return result.priceTimelines || {};
+}
+
+/**
+ * Add a page's prices to the tab's timeline. Resolves to the updated timeline.
+ */
+function addPriceSnapshot(tabId, snapshot) {
+    const task = priceQueue.then(() => applyPriceSnapshot(tabId, snapshot));
+    priceQueue = task.catch(() => { });
+    return task;
+}
+
+async function applyPriceSnapshot(tabId, snapshot) {
+    const timelines = await getPriceTimelines();
+    let timeline = timelines[tabId] || [];
+    const last = timeline[timeline.length - 1];
+
+    // A different shop, or browsing again after reaching checkout, starts a new flow
+    if (last && (last.origin !== snapshot.origin || (last.isCheckout && !snapshot.isCheckout))) {
+        timeline = [];
+    }
+
+    // Rescans of the same page replace its entry
+    if (timeline.length > 0 && timeline[timeline.length - 1].url === snapshot.url) {
+        timeline[timeline.length - 1] = snapshot;
+    } else {
+        timeline.push(snapshot);
+    }
+
+    timelines[tabId] = timeline.slice(-MAX_TIMELINE_LENGTH);
+    await chrome.storage.session.set({ priceTimelines: timelines });
+    return timelines[tabId];
+}
+
+/**
+ * Compare the first price the user saw (or the final page's subtotal) with the latest
+ * checkout total. Returns null unless the total grew by fees that appeared later,
+ * otherwise the amounts and those fees.
+ */
+function analyzePriceDrip(timeline) {
+    if (!timeline || timeline.length < 2) return null;
+
+    const checkoutIndex = timeline.findIndex(snapshot => snapshot.isCheckout);
+    if (checkoutIndex === -1) return null;
+
+    // The product page the user came from, or the first checkout step if they landed in the cart directly
+    const start = timeline[Math.max(0, checkoutIndex - 1)];
+    const final = [...timeline].reverse().find(snapshot => snapshot.total !== null);
+    if (!final || final === start) return null;
+
+    // A subtotal already counts extra items and quantities, which are not hidden costs
+    const firstPrice = typeof final.subtotal === 'number'
+        ? final.subtotal
+        : (start.total !== null ? start.total : start.price);
+    const increase = final.total - firstPrice;
+    if (increase < 0.01) return null;
+
+    const seenLabels = new Set(start.items.map(item => item.label.toLowerCase()));
+    const finalFees = final.items.filter(item => FEE_LABELS.test(item.label));
+    const fees = finalFees
+        .filter(item => !seenLabels.has(item.label.toLowerCase()))
+        .map(item => ({
+            ...item,
+            // The first page in the flow where this fee showed up
+            firstSeenUrl: (timeline.find(snapshot => snapshot.items.some(i => i.label === item.label)) || final).url
+        }));
+
+    // The fee lines, late ones and those shown from the start, must account for the increase
+    const sum = (items) => items.reduce((total, item) => total + item.amount, 0);
+    const tolerance = Math.max(0.01, final.total * 0.01); // Rounding
+    if (fees.length === 0 || sum(finalFees) + tolerance < increase) return null;
+
+    return {
+        currency: final.currency || start.currency || '$',
+        firstPrice,
+        finalTotal: final.total,
+        increase,
+        fees,
+        firstUrl: start.url,
+        finalUrl: final.url
+    };
+}
+
+// Forget a tab's checkout flow when it closes
+chrome.tabs.onRemoved.addListener((tabId) => {
+    priceQueue = priceQueue.then(async () => {
+        const timelines = await getPriceTimelines();
+        if (timelines[tabId]) {
+            delete timelines[tabId];
+            await chrome.storage.session.set({ priceTimelines: timelines });
+        }
+    }).catch(() => { });
+});
+
+// Roach motel detection: effort to sign up vs. effort to cancel, per site.
+// The tab's current flow lives in session storage; the latest sign-up and cancel
+// flows of each site are kept in local storage, since the two are usually weeks apart.
+const FLOW_IDLE_MS = 30 * 60 * 1000; // A flow left alone this long is over
+const MAX_FLOW_STEPS = 30;
+const MAX_EFFORT_SITES = 100;
+const EFFORT_RATIO = 2; // Cancelling is flagged at twice the sign-up steps...
+const EFFORT_MIN_EXTRA = 3; // ...and at least this many more
+let flowQueue = Promise.resolve(); // Events are applied one at a time (read-modify-write)
+
+function createFlow(at) {
+    return { startedAt: at, updatedAt: at, completed: false, pages: 0, clicks: 0, fields: 0, urls: [], channels: [], steps: [] };
+}
+
+function applyFlowEvent(flow, intent, event) {
+    if (event.url && !flow.urls.includes(event.url)) {
+        flow.urls.push(event.url);
+        flow.pages = flow.urls.length;
+    }
+    if (event.kind === 'click') flow.clicks++;
+    if (event.kind === 'submit') flow.fields += event.fields || 0;
+    (event.channels || []).forEach(channel => {
+        if (!flow.channels.includes(channel)) flow.channels.push(channel);
+    });
+    if (event.completed === intent) flow.completed = true;
+
+    flow.steps = flow.steps.concat({ kind: event.kind, label: event.label, url: event.url }).slice(-MAX_FLOW_STEPS);
+    flow.updatedAt = event.at;
+}
+
+async function recordFlowEvent(tabId, site, event) {
+    const { activeFlows = {} } = await chrome.storage.session.get(['activeFlows']);
+    let active = activeFlows[tabId];
+
+    // A flow stays on one site and ends when the user wanders off
+    if (active && (active.site !== site || event.at - active.flow.updatedAt > FLOW_IDLE_MS)) {
+        active = null;
+    }
+    // Clicking "Sign up" or "Cancel subscription" starts a new flow
+    if (event.intent && (!active || active.intent !== event.intent)) {
+        active = { site, intent: event.intent, flow: createFlow(event.at) };
+    }
+
+    if (!active) {
+        delete activeFlows[tabId];
+        await chrome.storage.session.set({ activeFlows });
+        return;
+    }
+
+    applyFlowEvent(active.flow, active.intent, event);
+    if (active.flow.completed) {
+        delete activeFlows[tabId];
+    } else {
+        activeFlows[tabId] = active;
+    }
+    await chrome.storage.session.set({ activeFlows });
+
+    // A completed flow is only replaced by a newer completed one
+    const { effortFlows = {} } = await chrome.storage.local.get(['effortFlows']);
+    const flows = effortFlows[site] || {};
+    const stored = flows[active.intent];
+    if (!stored || !stored.completed || active.flow.completed || stored.startedAt === active.flow.startedAt) {
+        flows[active.intent] = active.flow;
+    }
+    effortFlows[site] = flows;
+
+    // Keep the most recently used sites
+    const sites = Object.keys(effortFlows);
+    if (sites.length > MAX_EFFORT_SITES) {
+        const lastUsed = (key) => Math.max(...Object.values(effortFlows[key]).map(flow => flow.updatedAt));
+        sites.sort((a, b) => lastUsed(a) - lastUsed(b))
+            .slice(0, sites.length - MAX_EFFORT_SITES)
+            .forEach(key => delete effortFlows[key]);
+    }
+    await chrome.storage.local.set({ effortFlows });
+}
+
+/**
+ * Compare a site's sign-up and cancel flows. Reasons are empty unless
+ * cancelling takes much more effort or leaves the website.
+ */
+function analyzeEffort(flows) {
+    const signup = flows?.signup || null;
+    const cancel = flows?.cancel || null;
+    const steps = (flow) => flow.pages + flow.clicks + flow.fields;
+    const reasons = [];
+
+    if (signup && cancel && signup.completed) {
+        const signupSteps = steps(signup);
+        const cancelSteps = steps(cancel);
+        if (cancelSteps >= Math.max(signupSteps * EFFORT_RATIO, signupSteps + EFFORT_MIN_EXTRA)) {
+            reasons.push(`Cancelling took ${cancelSteps} steps, signing up ${signupSteps}.`);
+        }
+    }
+    if (cancel && !cancel.completed && cancel.channels.length > 0) {
+        reasons.push(`Cancellation is routed to ${cancel.channels.join(' and ')} only.`);
+    }
+
+    return {
+        signup,
+        cancel,
+        reasons,
+        isObstruction: reasons.length > 0
+    };
+}
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    const { activeFlows = {} } = await chrome.storage.session.get(['activeFlows']);
+    if (activeFlows[tabId]) {
+        delete activeFlows[tabId];
+        await chrome.storage.session.set({ activeFlows });
+    }
+});
+
+// Per-tab results store: every frame of a tab runs its own content script (all_frames),
+// so findings are stored per frame and merged for the popup and the toolbar badge.
+// Kept in storage.session so it outlives service worker restarts but not the browser.
+let frameQueue = Promise.resolve(); // Updates are applied one at a time (read-modify-write)
+
+async function getFrameResults() {
+    const result = await chrome.storage.session.get(['frameResults']);
+    return result.frameResults || {};
+}
+
+/**
+ * Apply change(frames) to the stored frames of a tab. Resolves with the frames after it.
+ */
+function updateFrames(tabId, change) {
+    const task = frameQueue.then(async () => {
+        const frameResults = await getFrameResults();
+        const frames = frameResults[tabId] || {};
+        change(frames);
+        if (Object.keys(frames).length > 0) {
+            frameResults[tabId] = frames;
+        } else {
+            delete frameResults[tabId];
+        }
+        await chrome.storage.session.set({ frameResults });
+        return frames;
+    });
+    frameQueue = task.catch(() => { });
+    return task;
+}
+
+function dropFrame(tabId, frames, frameId) {
+    if (frames[frameId]?.documentId) cancelTabPredictions(tabId, frames[frameId].documentId);
+    delete frames[frameId];
+}
+
+/**
+ * A new top-level document: its frames started after it did, so any frame that
+ * started earlier belonged to the page before it
+ */
+function dropFramesBefore(tabId, frames, startedAt) {
+    Object.keys(frames)
+        .filter(frameId => !(frames[frameId].startedAt >= startedAt))
+        .forEach(frameId => dropFrame(tabId, frames, frameId));
+}
+
+/**
+ * Replace (frameResult) or merge into (update) one frame's entry. A report from a
+ * top-level document we have not seen yet also drops the page before it.
+ */
+function setFrameResults(tabId, frameId, frameResult, update = false) {
+    return updateFrames(tabId, frames => {
+        if (frameId === 0 && frameResult.documentId && frameResult.startedAt &&
+            frames[0]?.documentId && frames[0].documentId !== frameResult.documentId) {
+            dropFramesBefore(tabId, frames, frameResult.startedAt);
+        }
+        // A late report from a frame of the page before
+        if (frameId !== 0 && frames[0]?.startedAt > frameResult.startedAt) return;
+        if (update) {
+            frames[frameId] = { results: [], ...frames[frameId], ...frameResult };
+        } else {
+            frames[frameId] = frameResult;
+        }
+    });
+}
+
+/**
+ * Merge the per-frame results of a tab. The top frame's findings come first.
+ */
+function aggregatePageResults(frames) {
+    const frameIds = Object.keys(frames || {}).sort((a, b) => a - b);
+    const results = frameIds.flatMap(frameId =>
+        frames[frameId].results.map(result => ({ ...result, frameId: Number(frameId), frameUrl: frames[frameId].url }))
+    );
+    const top = frames?.[0];
+    const scanning = frameIds.filter(frameId => frames[frameId].isScanning);
+
+    return {
+        count: results.length,
+        results,
+        frameCount: frameIds.length,
+        hasScanned: frameIds.some(frameId => frames[frameId].hasScanned),
+        isScanning: scanning.length > 0,
+        progress: scanning.length ? Math.min(...scanning.map(frameId => frames[frameId].progress || 0)) : null,
+        mode: (top || frames?.[frameIds[0]])?.mode || null
+    };
+}
+
+// Badge color follows the most severe category found (unknown custom categories count as low)
+const CATEGORY_SEVERITY = {
+    "Hidden Costs": 3,
+    "Hidden Subscription": 3,
+    "Obstruction": 3,
+    "Forced Action": 3,
+    "Preselection": 3,
+    "Consent": 2,
+    "Confirmshaming": 2,
+    "Visual Interference": 2,
+    "Fake Urgency": 2,
+    "Nagging": 2,
+    "Urgency": 1,
+    "Scarcity": 1,
+    "Social Proof": 1
+};
+const SEVERITY_COLORS = { 1: '#f9a825', 2: '#ef6c00', 3: '#c62828' };
+
+// Findings in a region with the "lower" policy (see regions.js) count one step lower
+function getSeverity(results) {
+    return results.reduce((max, result) => {
+        const severity = CATEGORY_SEVERITY[result.type] || 1;
+        return Math.max(max, result.lowSeverity ? Math.max(1, severity - 1) : severity);
+    }, 0);
+}
+
+async function updateBadge(tabId, page) {
+    try {
+        const text = page.count > 99 ? '99+' : page.count > 0 ? String(page.count) : '';
+        await chrome.action.setBadgeText({ tabId, text });
+        if (text) {
+            await chrome.action.setBadgeBackgroundColor({ tabId, color: SEVERITY_COLORS[getSeverity(page.results)] });
+        }
+    } catch (err) {
+        // Tab closed in the meantime
+    }
+}
+
+// Update the badge and let an open popup refresh without asking every frame again
+function publishPageResults(tabId, frames) {
+    const page = aggregatePageResults(frames);
+    updateBadge(tabId, page);
+    chrome.runtime.sendMessage({ action: 'pageResultsUpdated', tabId, ...page })
+        .catch(() => { /* Popup not open */ });
+}
+
+// History dashboard (dashboard.html): each page visit with findings is one record,
+// rewritten as later scans of the same page report more findings. Pages without
+// findings are not recorded, so the history is not a log of every site visited.
+let lastHistoryPrune = 0;
+const HISTORY_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+async function recordHistory(tab, frames) {
+    const top = frames[0];
+    if (tab.incognito || !top?.startedAt || !/^https?:/.test(top.url)) return;
+
+    try {
+        const retentionDays = await getRetentionDays();
+        if (!retentionDays) return; // History turned off
+
+        const page = aggregatePageResults(frames);
+        const id = `${tab.id}:${top.startedAt}`;
+        if (page.count === 0) {
+            // Also forgets a visit whose findings were all rejected or cleared
+            await deleteHistoryVisit(id);
+        } else {
+            await putHistoryVisit(createHistoryVisit({
+                id,
+                url: top.url,
+                title: tab.title,
+                date: top.startedAt,
+                results: page.results
+            }));
+        }
+
+        if (Date.now() - lastHistoryPrune > HISTORY_PRUNE_INTERVAL_MS) {
+            lastHistoryPrune = Date.now();
+            await pruneHistory(retentionDays);
+        }
+    } catch (err) {
+        console.warn("[Background] Could not record history:", err);
+    }
+}
+
+// The findings of a page are only dropped once a new document replaces it (frameLoaded):
+// a "loading" tab may just be a single-page app changing its URL, whose content script
+// keeps running and would not report its findings again
+chrome.tabs.onRemoved.addListener((tabId) => {
+    cancelTabPredictions(tabId);
+    updateFrames(tabId, frames => Object.keys(frames).forEach(frameId => delete frames[frameId]));
 });
 
 // Listener for messages from Content Script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    // Popup requests (no sender.tab)
+    if (request.action === 'getPriceDrip') {
+        getPriceTimelines().then(timelines => {
+            const timeline = timelines[request.tabId] || [];
+            sendResponse({ timeline, priceDrip: analyzePriceDrip(timeline) });
+        });
+        return true;
+    }
+
+    if (request.action === 'getEffort') {
+        chrome.storage.local.get(['effortFlows']).then(({ effortFlows = {} }) => {
+            sendResponse(analyzeEffort(effortFlows[request.site]));
+        });
+        return true;
+    }
+
+    // Pushed by the offscreen bridge on every sandbox lifecycle change
+    if (request.action === 'modelStateChanged') {
+        if (sender.url === chrome.runtime.getURL(OFFSCREEN_PATH) && !validateRequest(request)) {
+            chrome.storage.session.set({ modelStatus: request.status });
+        }
+        return false;
+    }
+
+    // AI requests (protocol.js) from the popup and content scripts (tf-stub.js) alike
+    if (REQUEST_SCHEMAS[request.action]) {
+        const invalid = validateRequest(request);
+        if (invalid) {
+            console.warn("[Background] Rejected message:", invalid.error);
+            sendResponse(invalid);
+            return false;
+        }
+    }
+
+    if (request.action === 'getModelStatus') {
+        getModelStatus().then(sendResponse);
+        return true;
+    }
+
+    if (request.action === 'getPageResults') {
+        getFrameResults().then(frameResults => sendResponse(aggregatePageResults(frameResults[request.tabId])));
+        return true;
+    }
+
     // Only handle messages from content scripts, not from offscreen
     if (!sender.tab) {
         return false; // Ignore messages from extension contexts
     }
 
-    // Ensure offscreen doc exists
-    setupOffscreenDocument('offscreen.html').then(async () => {
-
-        if (request.action === 'predict') {
-            console.log("[Background] Forwarding prediction to offscreen:", request.text.substring(0, 20) + "...");
+    // Price tracking does not need the offscreen document
+    if (request.action === 'priceSnapshot') {
+        addPriceSnapshot(sender.tab.id, request.snapshot).then(timeline => {
+            sendResponse({ priceDrip: analyzePriceDrip(timeline) });
+        });
+        return true;
+    }
 
-            try {
-                // Send message to the offscreen document context
-                const offscreenContexts = await chrome.runtime.getContexts({
-                    contextTypes: ['OFFSCREEN_DOCUMENT']
-                });
+    if (request.action === 'flowEvent') {
+        flowQueue = flowQueue
+            .then(() => recordFlowEvent(sender.tab.id, request.site, request.event))
+            .catch(err => console.warn("[Background] Flow event not recorded:", err.message));
+        return false;
+    }
 
-                if (offscreenContexts.length === 0) {
-                    throw new Error("Offscreen document not found");
-                }
+    // A new document in a frame; in the top frame, also a new page
+    if (request.action === 'frameLoaded') {
+        updateFrames(sender.tab.id, frames => {
+            if (sender.frameId !== 0) {
+                dropFrame(sender.tab.id, frames, sender.frameId);
+                return;
+            }
+            dropFramesBefore(sender.tab.id, frames, request.pageStartedAt);
+            dropFrame(sender.tab.id, frames, 0);
+            // Not scanned yet, but late reports from the page before can be told apart
+            frames[0] = {
+                url: request.url || sender.url,
+                results: [],
+                hasScanned: false,
+                documentId: sender.documentId,
+                startedAt: request.pageStartedAt
+            };
+        }).then(frames => publishPageResults(sender.tab.id, frames));
+        return false;
+    }
 
-                // Send message specifically to offscreen document
-                const response = await chrome.runtime.sendMessage({
-                    action: 'predict',
-                    text: request.text
-                });
+    if (request.action === 'resultsReady') {
+        setFrameResults(sender.tab.id, sender.frameId, {
+            url: request.frameUrl || sender.url,
+            results: request.results,
+            hasScanned: request.hasScanned,
+            isScanning: false,
+            mode: request.mode,
+            documentId: sender.documentId,
+            startedAt: request.pageStartedAt
+        }).then(frames => {
+            publishPageResults(sender.tab.id, frames);
+            recordHistory(sender.tab, frames);
+        });
+        return false;
+    }
 
-                console.log("[Background] Received response from offscreen:", response);
-                sendResponse(response);
-            } catch (err) {
-                console.error("[Background] Prediction error:", err);
-                sendResponse({ error: err.message, fallback: true });
-            }
+    // Progress of a running scan, so the popup can show it without asking the tab
+    if (request.action === 'scanProgress') {
+        setFrameResults(sender.tab.id, sender.frameId, {
+            url: sender.url,
+            isScanning: true,
+            progress: request.progress,
+            documentId: sender.documentId,
+            startedAt: request.pageStartedAt
+        }, true).then(frames => publishPageResults(sender.tab.id, frames));
+        return false;
+    }
 
-            return true; // Keep channel open
-        }
+    if (request.action === 'predict' || request.action === 'predictBatch') {
+        const size = request.action === 'predict' ? 1 : request.texts.length;
+        console.log(`[Background] Forwarding ${size} prediction(s) to offscreen`);
+        forwardPrediction(sender, request).then(response => {
+            if (isProtocolError(response)) console.warn(`[Background] Prediction failed (${response.code}):`, response.error);
+            sendResponse(response);
+        });
+        return true; // Keep channel open
+    }
 
-        if (request.action === 'getModelStatus' || request.action === 'initModel') {
-            try {
-                const response = await chrome.runtime.sendMessage({
-                    action: 'initModel'
-                });
-                sendResponse(response);
-            } catch (err) {
-                sendResponse({ ready: false, error: err.message });
-            }
-            return true;
-        }
-    });
+    if (request.action === 'initModel') {
+        sendToOffscreen(createMessage('initModel')).then(sendResponse);
+        return true;
+    }
 
-    return true; // Async response
+    return false;
 });
@@ -1,19 +1,30 @@
 /**
- * DarkPatternDetector - Content Script (v2.2 - Regex Only)
- * 
- * Detects and highlights manipulative design patterns (Dark Patterns) on web pages
- * using regex-based pattern matching across 10 categories.
+ * DarkPatternDetector - Content Script
+ *
+ * Detects and highlights manipulative design patterns (Dark Patterns) on web pages.
+ * Keyword rules (pattern-rules.js v2) pick candidates that the sandboxed model verifies,
+ * with the strict keywords as the fallback while it is not ready. Page regions (regions.js)
+ * and structural detectors (form state, styling, timers, prices) complete the picture.
  */
 
-// Dark Pattern Keywords (Regex) - 10 categories
+// Dark Pattern Keywords (Regex), one entry per category
 // broadRegex: Phrase-context patterns to catch candidates for AI verification
-// strictRegex: High-precision fallback if AI fails
-// Dark Pattern Keywords (Regex) - 10 categories
-let PATTERNS = []; // Loaded dynamically from patterns.txt
+// keywords: Per-keyword regexes; strict ones (by weight) are the high-precision fallback if AI fails
+let PATTERNS = []; // Loaded dynamically from the options page rules or patterns.txt
+let patternPacks = []; // Rules of the locale packs for this page's language(s), see loadPatternPacks
 
-// Initialize patterns
+// Initialize patterns: user rules from the options page win over the bundled patterns.txt
 async function loadPatterns() {
     try {
+        await loadPatternPacks();
+
+        const { patternRules } = await chrome.storage.local.get(['patternRules']);
+        if (patternRules) {
+            PATTERNS = buildPatterns(patternRules);
+            console.log(`[DarkPatternDetector] Loaded ${PATTERNS.length} categories from options`);
+            return;
+        }
+
         const url = chrome.runtime.getURL('patterns.txt');
         const response = await fetch(url);
         const text = await response.text();
@@ -28,342 +39,2105 @@ async function loadPatterns() {
     }
 }
 
-// Parse the text file format
-function parsePatterns(text) {
-    const lines = text.split('\n');
-    const categories = [];
-    let currentCategory = null;
-    let keywords = [];
-
-    lines.forEach(line => {
-        line = line.trim();
-        if (!line || line.startsWith('#')) return; // Skip comments/empty
-
-        // Check for [Category Name]
-        const categoryMatch = line.match(/^\[(.*)\]$/);
-        if (categoryMatch) {
-            // Save previous category
-            if (currentCategory) {
-                categories.push(createPatternObject(currentCategory, keywords));
-            }
-            currentCategory = categoryMatch[1];
-            keywords = [];
-        } else {
-            // Add keywords (split by comma)
-            const parts = line.split(',').map(p => p.trim()).filter(p => p.length > 0);
-            keywords.push(...parts);
-        }
+/**
+ * Pack languages for this page: the declared lang attribute and the detected text language
+ */
+function getPageLanguages() {
+    const languages = new Set();
+    const declared = (document.documentElement.lang || '').toLowerCase().split('-')[0];
+    if (declared) languages.add(declared);
+    const detected = detectLanguage(document.body?.innerText || '');
+    if (detected) languages.add(detected);
+    return PATTERN_PACK_LANGUAGES.filter(lang => languages.has(lang));
+}
+
+// Locale packs (patterns/<lang>.txt) are added on top of the English rules
+async function loadPatternPacks() {
+    const languages = getPageLanguages();
+    const packs = await Promise.all(languages.map(async lang => {
+        try {
+            const response = await fetch(chrome.runtime.getURL(`patterns/${lang}.txt`));
+            const { rules, errors } = parsePatternRules(await response.text());
+            errors.forEach(error => {
+                console.warn(`[DarkPatternDetector] patterns/${lang}.txt line ${error.line}: ${error.message}`);
+            });
+            return rules;
+        } catch (e) {
+            console.warn(`[DarkPatternDetector] Failed to load pattern pack "${lang}":`, e);
+            return [];
+        }
+    }));
+    patternPacks = packs.flat();
+    if (languages.length) console.log(`[DarkPatternDetector] Pattern packs: ${languages.join(', ')}`);
+}
+
+// Parse the text file format (see pattern-rules.js)
+function parsePatterns(text) {
+    const { rules, errors } = parsePatternRules(text);
+    errors.forEach(error => {
+        console.warn(`[DarkPatternDetector] patterns.txt line ${error.line}: ${error.message}`);
+    });
+    return buildPatterns(rules);
+}
+
+// Turn enabled rules (plus the page's locale packs) into pattern objects
+function buildPatterns(rules) {
+    return getActiveRules(mergePatternRules(rules, patternPacks)).map(rule => createPatternObject(rule.name, rule.keywords));
+}
+
+// Unicode-aware word boundary. ASCII \b treats "ü" or Devanagari as non-word characters,
+// and scripts written without spaces (Japanese, Chinese, Thai) have no word boundaries at all,
+// so next to those any position counts as one.
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}_]';
+const UNSPACED_CHAR = '[\\p{sc=Han}\\p{sc=Hiragana}\\p{sc=Katakana}\\p{sc=Thai}]';
+const WORD_BOUNDARY = `(?:(?<=${WORD_CHAR})(?!${WORD_CHAR})|(?<!${WORD_CHAR})(?=${WORD_CHAR})|(?<=${UNSPACED_CHAR})|(?=${UNSPACED_CHAR}))`;
+
+// Helper to build the regex object
+function createPatternObject(type, keywordList) {
+    // Join all keywords with OR logic: (keyword1|keyword2|...)
+    // Since user inputs raw regex fragments in text file (e.g. \d+), we generally TRUST their input.
+    // broadRegex is a cheap case-insensitive pre-filter over every keyword of the category;
+    // texts that pass it are scored keyword by keyword with matchKeywords.
+    const broadPattern = `${WORD_BOUNDARY}(${keywordList.map(k => k.text).join('|')})${WORD_BOUNDARY}`;
+
+    return {
+        type: type,
+        broadRegex: new RegExp(broadPattern, 'giu'),
+        keywords: keywordList.map(keyword => {
+            const flags = keyword.caseSensitive ? 'u' : 'iu';
+            return {
+                text: keyword.text,
+                strict: keyword.strict,
+                weight: keyword.weight,
+                regex: new RegExp(`${WORD_BOUNDARY}(?:${keyword.text})${WORD_BOUNDARY}`, 'g' + flags),
+                unlessRegex: keyword.unless ? new RegExp(`${WORD_BOUNDARY}(?:${keyword.unless})${WORD_BOUNDARY}`, flags) : null
+            };
+        }),
+        message: `Potential ${type} pattern detected.`
+    };
+}
+
+// True if every occurrence of the keyword in the text has one of its "unless" phrases nearby
+function isNegatedKeyword(keyword, text) {
+    keyword.regex.lastIndex = 0;
+    let match;
+    let found = false;
+    while ((match = keyword.regex.exec(text))) {
+        if (match[0] === '') keyword.regex.lastIndex++; // Zero-width match, step over it
+        found = true;
+        const start = Math.max(0, match.index - NEGATIVE_CONTEXT_CHARS);
+        const nearby = text.slice(start, match.index + match[0].length + NEGATIVE_CONTEXT_CHARS);
+        if (!keyword.unlessRegex.test(nearby)) return false;
+    }
+    return found;
+}
+
+// [start, end] of every occurrence of a keyword in the text
+function findKeywordRanges(keyword, text) {
+    const ranges = [];
+    keyword.regex.lastIndex = 0;
+    let match;
+    while ((match = keyword.regex.exec(text))) {
+        if (match[0] === '') {
+            keyword.regex.lastIndex++;
+            continue;
+        }
+        ranges.push([match.index, match.index + match[0].length]);
+    }
+    return ranges;
+}
+
+/**
+ * Score a text against a category's keywords: null if none of them is found,
+ * otherwise { weight, ranges } with the summed weight of those found (compare with
+ * STRICT_MATCH_WEIGHT) and where they are in the text node.
+ * Keywords are matched in the text node; their "unless" phrases are looked for in the
+ * surrounding context, since a <b>limited</b> liability splits the phrase across nodes.
+ */
+function matchKeywords(pattern, content, context) {
+    let found = null;
+    pattern.keywords.forEach(keyword => {
+        const ranges = findKeywordRanges(keyword, content);
+        if (!ranges.length) return;
+        if (keyword.unlessRegex) {
+            keyword.regex.lastIndex = 0;
+            // The context may be truncated or collapsed; fall back to the node's own text
+            const text = keyword.regex.test(context) ? context : content;
+            if (isNegatedKeyword(keyword, text)) return;
+        }
+        found = found || { weight: 0, ranges: [] };
+        found.weight += keyword.weight;
+        found.ranges.push(...ranges);
+    });
+    return found;
+}
+
+// Initialize patterns - Store promise to avoid race conditions
+const patternsLoadedPromise = loadPatterns();
+
+
+// Page regions (see regions.js): the keyword scan applies a policy per region
+// instead of dropping any text that mentions "copyright" or "mobile app"
+let regionPolicies = getRegionPolicies();
+
+const REGION_SELECTORS = {
+    legal: '[id*="legal" i], [class*="legal" i], [id*="copyright" i], [class*="copyright" i], ' +
+        '[id*="disclaimer" i], [class*="disclaimer" i], [class*="fine-print" i], [class*="fineprint" i]',
+    footer: '[role="contentinfo"], #footer, .footer, .site-footer',
+    nav: 'nav, [role="navigation"], [role="menubar"], [aria-label*="breadcrumb" i]'
+};
+
+// Short blocks that are a copyright line, or fine print about terms and privacy
+const COPYRIGHT_TEXT = /^\s*(©|\(c\)|copyright\b)|all rights reserved/i;
+const FINE_PRINT_TEXT = /terms (of|and) (use|service|conditions)|privacy policy|trademarks?|disclaimer|liability/i;
+const MAX_LEGAL_TEXT = 300;
+// Text is only judged in blocks without these inside: a footer holding a copyright line is not all legal text
+const BLOCK_TAGS = new Set(['P', 'DIV', 'LI', 'UL', 'OL', 'TABLE', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'NAV', 'ASIDE', 'FORM']);
+
+let regionCache = new WeakMap(); // element -> region id, rebuilt every scan
+let cookieRegions = new Set(); // consent banner containers found in this scan
+
+function getOwnRegion(el) {
+    if (cookieRegions.has(el)) return 'cookie';
+    if (el.matches(REGION_SELECTORS.legal)) return 'legal';
+    if (!Array.from(el.children).some(child => BLOCK_TAGS.has(child.tagName))) {
+        const text = el.textContent;
+        if (text.length <= MAX_LEGAL_TEXT &&
+            (COPYRIGHT_TEXT.test(text) || (el.tagName === 'SMALL' && FINE_PRINT_TEXT.test(text)))) {
+            return 'legal';
+        }
+    }
+    // A <footer> inside an article or section is that section's footer, not the site's
+    if (el.matches(REGION_SELECTORS.footer) ||
+        (el.tagName === 'FOOTER' && !el.parentElement?.closest('article, aside, main, nav, section'))) {
+        return 'footer';
+    }
+    if (el.matches(REGION_SELECTORS.nav)) return 'nav';
+    return 'main';
+}
+
+/**
+ * Region of an element: its own or an ancestor's, whichever comes first in PAGE_REGIONS
+ */
+function getRegion(element) {
+    if (!element) return 'main';
+    if (regionCache.has(element)) return regionCache.get(element);
+
+    // Across shadow roots the host is the parent
+    const parent = element.parentElement || element.getRootNode?.().host || null;
+    const own = getOwnRegion(element);
+    const inherited = getRegion(parent);
+    const order = PAGE_REGIONS.map(region => region.id);
+    const region = order.indexOf(inherited) < order.indexOf(own) ? inherited : own;
+
+    regionCache.set(element, region);
+    return region;
+}
+
+// Start of a scan: forget cached regions and find this scan's cookie banners
+function resetRegions(scanRoots) {
+    regionCache = new WeakMap();
+    cookieRegions = new Set(scanRoots.flatMap(root => findConsentContainers(root).map(({ element }) => element)));
+}
+
+// Detection results storage
+let detectionResults = [];
+let isScanning = false;
+let hasScanned = false;
+let isPaused = false;
+let lastScanUsedAI = false; // Tracks if AI was actually used in the last scan
+
+// How highlights are drawn: "inline" wraps matched text in a span,
+// "overlay" draws boxes above the page and leaves its DOM untouched
+let highlightMode = "inline";
+
+// Per-site rules set from the popup, keyed by origin:
+// { mode: "default" | "never" | "always", disabledCategories: [type, ...] }
+// Frames use the top-level site's rules (ancestorOrigins works across origins)
+const IS_TOP_FRAME = window === window.top;
+const SITE_KEY = IS_TOP_FRAME
+    ? location.origin
+    : (location.ancestorOrigins?.[location.ancestorOrigins.length - 1] || location.origin);
+let siteRule = { mode: "default", disabledCategories: [] };
+
+// Categories reported by structural detectors (not listed in patterns.txt)
+const STRUCTURAL_CATEGORIES = ["Preselection", "Visual Interference", "Consent", "Urgency", "Fake Urgency", "Hidden Costs"];
+
+// Initialize Pause State and site rules (awaited before the first scan)
+const settingsLoadedPromise = chrome.storage.local.get(['isPaused', 'siteRules', 'highlightMode', 'regionPolicies']).then((result) => {
+    isPaused = result.isPaused || false;
+    highlightMode = result.highlightMode || "inline";
+    regionPolicies = getRegionPolicies(result.regionPolicies);
+    siteRule = { ...siteRule, ...(result.siteRules || {})[SITE_KEY] };
+}).catch(() => { /* Context invalidated */ });
+
+/**
+ * Whether this page should be observed and scanned at all.
+ * "always" beats the global pause; "never" beats everything.
+ */
+function isDetectionEnabled() {
+    if (siteRule.mode === "never") return false;
+    if (siteRule.mode === "always") return true;
+    return !isPaused;
+}
+
+function isCategoryEnabled(type) {
+    return !siteRule.disabledCategories.includes(type);
+}
+
+// All categories this page can report, for the popup's per-site toggles
+function getCategories() {
+    return Array.from(new Set(PATTERNS.map(p => p.type).concat(STRUCTURAL_CATEGORIES)));
+}
+
+// Marks a document that has its own copy of this content script (all_frames),
+// so a parent frame does not scan (and double count) it as well
+const FRAME_SCANNER_ATTRIBUTE = 'data-safe-web-scanner';
+document.documentElement?.setAttribute(FRAME_SCANNER_ATTRIBUTE, '');
+
+/**
+ * The document of a same-origin iframe that has no scanner of its own, or null
+ */
+function getUnscannedFrameDocument(iframe) {
+    try {
+        const doc = iframe.contentDocument;
+        if (!doc || !doc.body || doc.documentElement.hasAttribute(FRAME_SCANNER_ATTRIBUTE)) return null;
+        return doc;
+    } catch (e) {
+        return null; // Cross-origin
+    }
+}
+
+/**
+ * Everything the scanner should walk: the root itself, open shadow roots
+ * (web components) and the bodies of same-origin iframes, recursively
+ */
+function getScanRoots(root) {
+    const roots = [root];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+
+    while (walker.nextNode()) {
+        const el = walker.currentNode;
+        if (el.shadowRoot) {
+            roots.push(...getScanRoots(el.shadowRoot));
+        }
+        if (el.tagName === 'IFRAME') {
+            const frameDocument = getUnscannedFrameDocument(el);
+            if (frameDocument) roots.push(...getScanRoots(frameDocument.body));
+        }
+    }
+
+    return roots;
+}
+
+/**
+ * Visibility check: Only scan what the user can see
+ */
+function isVisible(element) {
+    if (!element) return false;
+
+    // Fast checks
+    if (element.offsetParent === null && element.style.position !== 'fixed') return false; // Hidden (display: none)
+
+    // Detailed style checks
+    const style = window.getComputedStyle(element);
+    if (style.display === 'none') return false;
+    if (style.visibility === 'hidden') return false;
+    if (style.opacity === '0') return false;
+
+    // Size check (skip 1x1 tracking pixels etc)
+    const rect = element.getBoundingClientRect();
+    if (rect.width < 5 || rect.height < 5) return false;
+
+    return true;
+}
+
+// Structural Preselection detection: looks at form state instead of keywords
+const PRESELECTION_PATTERN = {
+    type: "Preselection",
+    message: "This option was selected for you before you touched the form."
+};
+
+// Pre-checked boxes that are conventionally harmless
+const BENIGN_PRESELECTION_LABELS = /remember me|keep me (signed|logged) in|stay (signed|logged) in|show password/i;
+
+// Radios and selects always have a selection, so only flag the ones that add something to the order
+const ADDON_HINTS = /insurance|protection|warranty|donat|newsletter|subscri|membership|premium|upgrade|add-?on|priority|\btip\b|\+\s*[$€£]\s*\d/i;
+
+// Controls the user changed themselves reflect their own choice
+const userTouchedControls = new WeakSet();
+
+// Controls and labels reported as Preselection: their text is not reported again by the keyword scan
+const preselectedControls = new WeakSet();
+document.addEventListener('change', (event) => {
+    userTouchedControls.add(event.target);
+}, true);
+
+/**
+ * Resolve the label element and text that describe a form control
+ */
+function getControlLabel(control) {
+    let label = (control.labels && control.labels[0]) || control.closest('label');
+    if (!label && control.getAttribute('aria-labelledby')) {
+        label = document.getElementById(control.getAttribute('aria-labelledby').split(/\s+/)[0]);
+    }
+
+    const element = label || control.parentElement;
+    const text = (label?.innerText || control.getAttribute('aria-label') || element?.innerText || '')
+        .replace(/\s+/g, ' ').trim();
+
+    return { element, text };
+}
+
+/**
+ * Whether an element is, or is inside, a control or label reported as Preselection
+ */
+function isInPreselectedControl(element) {
+    for (let el = element; el; el = el.parentElement) {
+        if (preselectedControls.has(el)) return true;
+    }
+    return false;
+}
+
+/**
+ * Find checked checkboxes, selected radios and default-selected options
+ * that the page chose on the user's behalf
+ */
+function findPreselectedControls(root) {
+    const findings = [];
+
+    root.querySelectorAll('input[type="checkbox"], input[type="radio"], select').forEach(control => {
+        if (control.disabled || userTouchedControls.has(control)) return;
+
+        // Consent toggles are reported with their banner (see findConsentBanners)
+        if (isInConsentBanner(control)) return;
+
+        const { element, text: labelText } = getControlLabel(control);
+        let text = labelText;
+
+        if (control.tagName === 'SELECT') {
+            const option = control.options[control.selectedIndex];
+            // Index 0 is usually the "Please choose" placeholder
+            if (!option || control.selectedIndex === 0 || !option.defaultSelected) return;
+            text = `${labelText} ${option.text}`.trim();
+            if (!ADDON_HINTS.test(text)) return;
+        } else {
+            if (!control.checked) return;
+            if (control.type === 'checkbox' && BENIGN_PRESELECTION_LABELS.test(text)) return;
+            if (control.type === 'radio' && !ADDON_HINTS.test(text)) return;
+        }
+
+        if (!element || !text) return;
+
+        // Custom checkboxes hide the input itself, so check the label instead
+        if (!isVisible(element)) return;
+
+        // Already reported by a previous scan (structural or keyword)
+        if (containsHighlight(element) || containsHighlight(control)) return;
+
+        findings.push({ element, text, control });
+    });
+
+    return findings;
+}
+
+// Visual Interference: accept/decline pairs styled to steer the user
+const VISUAL_INTERFERENCE_TYPE = "Visual Interference";
+const CHOICE_CONTAINERS = 'dialog, [role="dialog"], [role="alertdialog"], [aria-modal="true"], form';
+const CHOICE_CONTROLS = 'button, a, input[type="submit"], input[type="button"], [role="button"]';
+const ACCEPT_LABELS = /^(yes|accept|agree|allow|ok|continue|subscribe|sign (me )?up|join|get|claim|start|upgrade|add|buy|keep)\b/i;
+// "Close"/"Dismiss" (and icon-only ✕ buttons) are dialog chrome, not an answer to the offer
+const DECLINE_LABELS = /^(no\b|not now|maybe later|skip|decline|reject|cancel|i('m| am) not|i don'?t|i'?ll pass|continue without)/i;
+// A form outside a dialog only counts when it pushes an offer: most forms have a big "Continue" and a small "Cancel"
+const UPSELL_CONTEXT = /\boffer|\bdeals?\b|discount|\d+\s?% off|newsletter|subscri|upgrade|premium|membership|free trial|exclusive/i;
+
+/**
+ * Parse a computed "rgb(...)" / "rgba(...)" color into [r, g, b, a]
+ */
+function parseColor(value) {
+    const parts = (value || '').match(/[\d.]+/g);
+    if (!parts || parts.length < 3) return null;
+    return [Number(parts[0]), Number(parts[1]), Number(parts[2]), parts.length > 3 ? Number(parts[3]) : 1];
+}
+
+function relativeLuminance([r, g, b]) {
+    const channel = (c) => {
+        c /= 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+// WCAG contrast ratio (1 - 21)
+function contrastRatio(colorA, colorB) {
+    const la = relativeLuminance(colorA);
+    const lb = relativeLuminance(colorB);
+    return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+/**
+ * Walk up the tree to find the first non-transparent background behind an element
+ */
+function getEffectiveBackground(element) {
+    for (let el = element; el && el.nodeType === 1; el = el.parentElement) {
+        const color = parseColor(window.getComputedStyle(el).backgroundColor);
+        if (color && color[3] > 0.5) return color;
+    }
+    return [255, 255, 255, 1];
+}
+
+/**
+ * Read the visual weight of a control from the same style/box data isVisible uses
+ */
+function measureControl(element) {
+    const style = window.getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+    const ownBackground = parseColor(style.backgroundColor);
+    const parentBackground = getEffectiveBackground(element.parentElement);
+    const background = getEffectiveBackground(element);
+
+    return {
+        area: rect.width * rect.height,
+        fontSize: parseFloat(style.fontSize) || 0,
+        fontWeight: parseInt(style.fontWeight, 10) || 400,
+        textContrast: contrastRatio(parseColor(style.color) || [0, 0, 0], background),
+        // A filled button stands out from the surface it sits on
+        filled: !!ownBackground && ownBackground[3] > 0.5 && contrastRatio(ownBackground, parentBackground) > 1.5
+    };
+}
+
+/**
+ * Compare an accept/decline pair. Returns the list of asymmetries found.
+ */
+function compareChoices(accept, decline) {
+    const a = measureControl(accept);
+    const d = measureControl(decline);
+    const signals = [];
+
+    if (d.area > 0 && a.area / d.area >= 3) {
+        signals.push(`click area ${Math.round(a.area / d.area)}x larger`);
+    }
+    if (d.fontSize > 0 && a.fontSize / d.fontSize >= 1.3) {
+        signals.push(`text ${(a.fontSize / d.fontSize).toFixed(1)}x bigger`);
+    }
+    if (a.fontWeight - d.fontWeight >= 300) {
+        signals.push("bolder text");
+    }
+    if (a.textContrast / d.textContrast >= 2 || (d.textContrast < 3 && a.textContrast >= 4.5)) {
+        signals.push(`decline contrast only ${d.textContrast.toFixed(1)}:1`);
+    }
+    if (a.filled && !d.filled) {
+        signals.push("decline is not styled as a button");
+    }
+
+    return signals;
+}
+
+function getControlText(control) {
+    return (control.innerText || control.value || control.getAttribute('aria-label') || '')
+        .replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find accept/decline pairs in dialogs and forms whose styling strongly favours accepting
+ */
+function findVisualInterference(root) {
+    const findings = [];
+
+    // Incremental scans pass the added dialog itself as the root
+    const containers = Array.from(root.querySelectorAll(CHOICE_CONTAINERS));
+    if (root.matches?.(CHOICE_CONTAINERS)) containers.unshift(root);
+
+    containers.forEach(container => {
+        // Nested forms inside dialogs are handled by the outer container
+        if (container.parentElement?.closest(CHOICE_CONTAINERS)) return;
+        if (isInConsentBanner(container)) return;
+        if (container.tagName === 'FORM' && !UPSELL_CONTEXT.test(container.innerText || '')) return;
+
+        let accept = null;
+        let decline = null;
+        container.querySelectorAll(CHOICE_CONTROLS).forEach(control => {
+            if (!isVisible(control)) return;
+            const text = getControlText(control);
+            if (!text || text.length > 80) return;
+
+            // A decline must say so on screen: an aria-label alone means an icon button
+            const shownText = (control.innerText || control.value || '').trim();
+            if (!decline && shownText && DECLINE_LABELS.test(text)) decline = control;
+            else if (!accept && ACCEPT_LABELS.test(text)) accept = control;
+        });
+
+        if (!accept || !decline) return;
+        if (isHighlighted(decline)) return; // Already reported
+
+        const signals = compareChoices(accept, decline);
+        // One difference can be a style choice; two or more is steering
+        if (signals.length < 2) return;
+
+        findings.push({
+            element: decline,
+            text: `"${getControlText(accept)}" vs "${getControlText(decline)}"`,
+            signals
+        });
+    });
+
+    return findings;
+}
+
+// Cookie consent banners (CMPs): is "Reject" as easy to reach and as prominent
+// as "Accept" on the first layer, and are purposes switched on by default?
+const CONSENT_TYPE = "Consent";
+
+// Consent management platforms recognised by their container
+const KNOWN_CMPS = [
+    { name: "OneTrust", selector: "#onetrust-banner-sdk" },
+    { name: "Cookiebot", selector: "#CybotCookiebotDialog" },
+    { name: "Didomi", selector: "#didomi-notice, #didomi-popup" },
+    { name: "Quantcast Choice", selector: ".qc-cmp2-container" },
+    { name: "Google Funding Choices", selector: ".fc-consent-root" },
+    { name: "Sourcepoint", selector: "[id^='sp_message_container']" },
+    { name: "TrustArc", selector: "#truste-consent-track" },
+    { name: "CookieYes", selector: ".cky-consent-container" },
+    { name: "Osano", selector: ".osano-cm-dialog" },
+    { name: "Complianz", selector: ".cmplz-cookiebanner" },
+    { name: "iubenda", selector: "#iubenda-cs-banner" },
+    { name: "Cookie Consent", selector: ".cc-window" }
+];
+
+// Home-grown banners: dialogs or cookie/consent-named containers that talk about cookies
+const CONSENT_CONTAINERS = 'dialog, [role="dialog"], [role="alertdialog"], [aria-modal="true"], ' +
+    '[id*="cookie" i], [class*="cookie" i], [id*="consent" i], [class*="consent" i], [id*="gdpr" i], [class*="gdpr" i]';
+const CONSENT_TEXT = /cookie|consent|your privacy|personal data|partners|tracking technolog/i;
+const MAX_BANNER_TEXT = 3000; // Longer than this is a page section, not a banner
+
+// Reject is checked first: "Accept only necessary" is a way to reject
+const CONSENT_REJECT_LABELS = /\b(reject|decline|deny|refuse|disagree|do not (accept|agree|consent)|don'?t (accept|agree)|continue without|(only|strictly) (necessary|essential)|(necessary|essential)( cookies)? only)\b/i;
+const CONSENT_ACCEPT_LABELS = /\b(accept|allow|agree|consent|got it|i understand|ok(ay)?|yes)\b/i;
+const CONSENT_SETTINGS_LABELS = /\b(manage|preferences|settings|customi[sz]e|options|choices|purposes|more info|learn more)\b/i;
+
+// Purposes that may legitimately be on (and are usually locked)
+const NECESSARY_PURPOSES = /necessary|essential|required|functional only/i;
+const CONSENT_TOGGLES = 'input[type="checkbox"], [role="switch"], [role="checkbox"]';
+
+const consentBanners = new WeakSet(); // Banners found so far, owned by this detector
+
+function isInConsentBanner(element) {
+    for (let el = element; el; el = el.parentElement) {
+        if (consentBanners.has(el)) return true;
+    }
+    return false;
+}
+
+/**
+ * Known CMP containers plus heuristic matches, outermost only
+ */
+function findConsentContainers(root) {
+    const found = new Map(); // element -> CMP name (null for heuristic matches)
+
+    KNOWN_CMPS.forEach(({ name, selector }) => {
+        root.querySelectorAll(selector).forEach(element => found.set(element, name));
+    });
+    root.querySelectorAll(CONSENT_CONTAINERS).forEach(element => {
+        if (found.has(element)) return;
+        const text = element.innerText || '';
+        if (text.length > MAX_BANNER_TEXT || !CONSENT_TEXT.test(text)) return;
+        found.set(element, null);
+    });
+
+    // Keep the outermost match, except that a known CMP container wins over
+    // a heuristic wrapper around it (e.g. #onetrust-consent-sdk)
+    const elements = Array.from(found.keys());
+    const isKnown = (element) => found.get(element) !== null;
+    return elements
+        .filter(element => !elements.some(other => {
+            if (other === element) return false;
+            if (other.contains(element)) return !isKnown(element) || isKnown(other);
+            return element.contains(other) && !isKnown(element) && isKnown(other);
+        }))
+        .map(element => ({ element, cmp: found.get(element) }));
+}
+
+/**
+ * Purpose toggles that are on although the user never touched them.
+ * Hidden second-layer panels are included: the defaults apply either way.
+ */
+function findPreEnabledPurposes(banner) {
+    return Array.from(banner.querySelectorAll(CONSENT_TOGGLES))
+        .filter(toggle => {
+            if (userTouchedControls.has(toggle)) return false;
+            if (toggle.disabled || toggle.getAttribute('aria-disabled') === 'true') return false; // Locked
+            return toggle.tagName === 'INPUT' ? toggle.checked : toggle.getAttribute('aria-checked') === 'true';
+        })
+        .map(toggle => {
+            // textContent: innerText is empty while the preferences layer is closed
+            const label = toggle.getAttribute('aria-label') || getControlLabel(toggle).element?.textContent || '';
+            return label.replace(/\s+/g, ' ').trim();
+        })
+        .filter(label => label && !NECESSARY_PURPOSES.test(label));
+}
+
+/**
+ * Analyse visible consent banners. Returns one finding per banner that has issues:
+ * { element, text, details: { cmp, accept, reject, settings, issues, preEnabled } }
+ */
+function findConsentBanners(root) {
+    const findings = [];
+
+    findConsentContainers(root).forEach(({ element: banner, cmp }) => {
+        if (!isVisible(banner) || isHighlighted(banner)) return;
+
+        // First layer: the choices visible without opening anything
+        let accept = null;
+        let reject = null;
+        let settings = null;
+        banner.querySelectorAll(CHOICE_CONTROLS).forEach(control => {
+            if (!isVisible(control)) return;
+            const text = getControlText(control);
+            if (!text || text.length > 80) return;
+
+            if (CONSENT_REJECT_LABELS.test(text)) reject = reject || control;
+            else if (CONSENT_ACCEPT_LABELS.test(text)) accept = accept || control;
+            else if (CONSENT_SETTINGS_LABELS.test(text)) settings = settings || control;
+        });
+
+        // Without an accept button this is a notice, not a consent request
+        if (!accept) return;
+        consentBanners.add(banner);
+
+        const issues = [];
+        if (!reject && settings) {
+            issues.push(`No reject option on the first layer: refusing needs "${getControlText(settings)}"`);
+        } else if (!reject) {
+            issues.push("No way to refuse: only accepting is offered");
+        } else {
+            const signals = compareChoices(accept, reject);
+            // Same bar as Visual Interference: one difference can be a style choice
+            if (signals.length >= 2) issues.push(`Reject is less prominent than accept: ${signals.join(', ')}`);
+        }
+
+        const preEnabled = findPreEnabledPurposes(banner);
+        if (preEnabled.length > 0) {
+            issues.push(`${preEnabled.length} purpose(s) switched on by default: ${preEnabled.join(', ')}`);
+        }
+
+        if (issues.length === 0) return;
+
+        findings.push({
+            element: banner,
+            text: cmp ? `${cmp} consent banner` : "Cookie consent banner",
+            details: {
+                cmp,
+                accept: getControlText(accept),
+                reject: reject ? getControlText(reject) : null,
+                settings: settings ? getControlText(settings) : null,
+                issues,
+                preEnabled
+            }
+        });
+    });
+
+    return findings;
+}
+
+// Countdown timers: detected by watching the clock tick, not by keywords
+const URGENCY_TIMER_PATTERN = {
+    type: "Urgency",
+    message: "A live countdown timer is pressuring you to decide quickly."
+};
+const FAKE_URGENCY_PATTERN = {
+    type: "Fake Urgency",
+    message: "This countdown restarted since your last visit, so its deadline is not real."
+};
+const CLOCK_REGEX = /\b(?:(\d{1,2}):)?(\d{1,2}):(\d{2})\b/;
+const UNIT_CLOCK_REGEX = /(?:(\d+)\s*d(?:ays?)?\s*)?(?:(\d+)\s*h(?:(?:ou)?rs?)?\s*)?(\d+)\s*m(?:in(?:utes?)?|ins)?\s*(\d+)\s*s(?:ec(?:ond)?s?)?\b/i;
+const TIMER_WATCH_MS = 5000; // How long a timer is observed before deciding
+const TIMER_RESET_TOLERANCE_MS = 30 * 1000; // Allowed drift between visits
+const TIMER_HISTORY_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // Deadlines further out are forgotten after this long
+
+// Elements currently being watched -> { key, samples: [{ seconds, at }] }
+const watchedTimers = new Map();
+const liveTimers = new Set(); // Evaluated countdowns: their ticks need no rescan
+let timerDeadlineQueue = Promise.resolve(); // Deadlines are recorded one at a time (read-modify-write)
+
+/**
+ * Parse clock-looking text ("00:04:59", "4m 59s") into remaining seconds
+ */
+function parseClock(text) {
+    let match = text.match(UNIT_CLOCK_REGEX);
+    if (match) {
+        const [, days, hours, minutes, seconds] = match.map(v => Number(v) || 0);
+        return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+    }
+    match = text.match(CLOCK_REGEX);
+    if (match) {
+        const [, hours, minutes, seconds] = match.map(v => Number(v) || 0);
+        return (hours * 60 + minutes) * 60 + seconds;
+    }
+    return null;
+}
+
+/**
+ * Build a CSS selector path that identifies an element on the page
+ */
+function getSelectorPath(element) {
+    const parts = [];
+    for (let el = element; el && el.nodeType === 1 && el !== document.body; el = el.parentElement) {
+        if (el.id) {
+            parts.unshift(`#${CSS.escape(el.id)}`);
+            break;
+        }
+        let part = el.tagName.toLowerCase();
+        const siblings = el.parentElement ? Array.from(el.parentElement.children).filter(c => c.tagName === el.tagName) : [];
+        if (siblings.length > 1) {
+            part += `:nth-of-type(${siblings.indexOf(el) + 1})`;
+        }
+        parts.unshift(part);
+    }
+    return parts.join(' > ');
+}
+
+/**
+ * Find elements whose text looks like a countdown and start watching them
+ */
+function watchTimerCandidates(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const seen = new Set();
+
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (!/\d/.test(node.nodeValue)) continue;
+
+        // Clocks are often split across spans ("04" ":" "59"), so allow one level up
+        let element = null;
+        for (let el = node.parentElement, depth = 0; el && depth < 2; el = el.parentElement, depth++) {
+            const text = el.innerText || '';
+            if (text.length <= 40 && parseClock(text) !== null) {
+                element = el;
+                break;
+            }
+        }
+        if (!element || seen.has(element)) continue;
+        seen.add(element);
+
+        if (watchedTimers.has(element) || isHighlighted(element)) continue;
+        if (!isVisible(element)) continue;
+
+        const seconds = parseClock(element.innerText);
+        if (seconds === null || seconds === 0) continue;
+
+        watchedTimers.set(element, {
+            key: getSelectorPath(element),
+            samples: [{ seconds, at: Date.now() }]
+        });
+        setTimeout(() => evaluateTimer(element), TIMER_WATCH_MS);
+    }
+}
+
+/**
+ * Feed MutationObserver records into the watched timers.
+ * Returns true if every record belonged to a timer (so no rescan is needed).
+ */
+function sampleTimerMutations(mutations) {
+    liveTimers.forEach(element => {
+        if (!element.isConnected) liveTimers.delete(element);
+    });
+    if (watchedTimers.size === 0 && liveTimers.size === 0) return false;
+
+    let allTimers = true;
+    const now = Date.now();
+
+    mutations.forEach(mutation => {
+        const target = mutation.target.nodeType === 1 ? mutation.target : mutation.target.parentElement;
+        let matched = false;
+
+        watchedTimers.forEach((timer, element) => {
+            if (!target || !element.contains(target)) return;
+            matched = true;
+            const seconds = parseClock(element.innerText || '');
+            if (seconds !== null) timer.samples.push({ seconds, at: now });
+        });
+        if (!matched && target) matched = Array.from(liveTimers).some(element => element.contains(target));
+
+        if (!matched) allTimers = false;
+    });
+
+    return allTimers;
+}
+
+/**
+ * Decide whether a watched element is a live countdown and compare its
+ * implied deadline with the one recorded on previous visits
+ */
+function evaluateTimer(element) {
+    const timer = watchedTimers.get(element);
+    if (!timer) return;
+    watchedTimers.delete(element);
+
+    // Last reading in case the page updates the clock in a way we did not observe
+    const seconds = parseClock(element.innerText || '');
+    if (seconds !== null) timer.samples.push({ seconds, at: Date.now() });
+
+    const first = timer.samples[0];
+    const last = timer.samples[timer.samples.length - 1];
+    const elapsed = (last.at - first.at) / 1000;
+    const drop = first.seconds - last.seconds;
+
+    // A real countdown loses roughly one second per second
+    if (drop < 2 || Math.abs(drop - elapsed) > Math.max(2, elapsed * 0.5)) return;
+    if (!element.isConnected) return;
+    liveTimers.add(element);
+
+    const deadline = last.at + last.seconds * 1000;
+    recordTimerDeadline(timer.key, deadline).then(isFake => {
+        const pattern = isFake ? FAKE_URGENCY_PATTERN : URGENCY_TIMER_PATTERN;
+        if (!isCategoryEnabled(pattern.type) || !element.isConnected) return;
+        console.log(`[DarkPatternDetector] Countdown at ${timer.key} ends ${new Date(deadline).toLocaleString()}${isFake ? " (reset since last visit)" : ""}`);
+
+        recordStructuralFinding(element, pattern, element.innerText.replace(/\s+/g, ' ').trim());
+        sendResults();
+    }).catch(e => console.warn("[DarkPatternDetector] Could not record countdown deadline:", e));
+}
+
+/**
+ * Store a countdown's deadline and tell whether it moved since an earlier visit.
+ * Resolves to true if the timer was reset.
+ */
+function recordTimerDeadline(key, deadline) {
+    const pageKey = location.origin + location.pathname;
+
+    // Timers of one scan are evaluated together: queue their read-modify-writes
+    const task = timerDeadlineQueue.then(async () => {
+        const result = await chrome.storage.local.get(['timerDeadlines']);
+        const history = result.timerDeadlines || {};
+        const now = Date.now();
+
+        // A deadline that has passed makes way for the next one (daily deals, session timers)
+        const isExpired = (entry) => now - entry.deadline > TIMER_RESET_TOLERANCE_MS ||
+            now - entry.firstSeen > TIMER_HISTORY_MAX_AGE_MS;
+        Object.keys(history).forEach(page => {
+            Object.keys(history[page]).forEach(timerKey => {
+                if (isExpired(history[page][timerKey])) delete history[page][timerKey];
+            });
+            if (Object.keys(history[page]).length === 0) delete history[page];
+        });
+
+        const page = history[pageKey] || {};
+        const previous = page[key];
+
+        // Same page, later visit, and the deadline moved before the old one came: the timer was reset
+        const isFake = !!previous && deadline - previous.deadline > TIMER_RESET_TOLERANCE_MS;
+
+        page[key] = {
+            // Keep the first deadline we saw so every later visit compares against it
+            deadline: previous ? previous.deadline : deadline,
+            firstSeen: previous ? previous.firstSeen : now,
+            resets: (previous?.resets || 0) + (isFake ? 1 : 0)
+        };
+        history[pageKey] = page;
+
+        await chrome.storage.local.set({ timerDeadlines: history });
+        return isFake;
+    });
+    timerDeadlineQueue = task.catch(() => { });
+    return task;
+}
+
+// Price drip: prices are extracted on every page and the background worker
+// keeps a per-tab checkout timeline to spot totals that grow late in the flow
+const PRICE_AMOUNT = String.raw`\d{1,3}(?:[,.]\d{3})*(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?`;
+// "$9.99", or with the symbol after the amount as in much of Europe ("9,99 €")
+const PRICE_REGEX = new RegExp(`([$€£])\\s?(${PRICE_AMOUNT})|(${PRICE_AMOUNT})\\s?([$€£])`);
+const TOTAL_LABELS = /\b(grand total|order total|total due|total to pay|total|amount due|you pay)\b/i;
+const SUBTOTAL_LABELS = /\bsub-?\s?total\b/i;
+const CHECKOUT_URL_HINTS = /cart|basket|checkout|payment|order|booking|purchase/i;
+const PRICE_ROW_SELECTOR = 'tr, li, dl > div, [class*="row"], [class*="line"], [class*="item"]';
+
+let lastTotalElement = null; // Element holding the total on this page, for highlighting
+
+/**
+ * Convert "1,299.99" / "1.299,99" / "20" into a number
+ */
+function parseAmount(text) {
+    const decimalComma = /,\d{1,2}$/.test(text);
+    const normalized = decimalComma
+        ? text.replace(/\./g, '').replace(',', '.')
+        : text.replace(/,/g, '');
+    const amount = parseFloat(normalized);
+    return isNaN(amount) ? null : amount;
+}
+
+/**
+ * Collect the prices on the page: the most prominent price, the order total
+ * if there is one, and labelled line items (fees, taxes, shipping...)
+ */
+function extractPriceSnapshot(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const items = new Map();
+    let headline = null;
+    let total = null;
+    let subtotal = null;
+    let currency = null;
+
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        const match = node.nodeValue.match(PRICE_REGEX);
+        if (!match) continue;
+
+        const element = node.parentElement;
+        if (!element || !isVisible(element)) continue;
+
+        const amount = parseAmount(match[2] || match[3]);
+        if (amount === null) continue;
+        currency = currency || match[1] || match[4];
+
+        // The label is whatever else the row says besides the price
+        const row = element.closest(PRICE_ROW_SELECTOR) || element.parentElement;
+        const rowText = (row?.innerText || '').replace(/\s+/g, ' ').trim();
+        const label = rowText.length <= 80
+            ? rowText.replace(match[0].replace(/\s+/g, ' '), '').replace(/[:\-–]+\s*$/, '').trim() // Collapsed like rowText (no-break spaces)
+            : '';
+
+        const fontSize = parseFloat(window.getComputedStyle(element).fontSize) || 0;
+        if (!headline || fontSize > headline.fontSize) {
+            headline = { amount, fontSize };
+        }
+
+        if (label && TOTAL_LABELS.test(label) && !SUBTOTAL_LABELS.test(label)) {
+            total = { amount, element }; // Last total on the page wins (usually the grand total)
+        } else if (label && SUBTOTAL_LABELS.test(label)) {
+            subtotal = amount;
+        } else if (label && !items.has(label.toLowerCase())) {
+            items.set(label.toLowerCase(), { label: label.substring(0, 60), amount });
+        }
+    }
+
+    if (!headline) return null;
+
+    lastTotalElement = total ? total.element : null;
+    return {
+        url: location.href,
+        origin: location.origin,
+        at: Date.now(),
+        currency,
+        price: headline.amount,
+        total: total ? total.amount : null,
+        subtotal,
+        items: Array.from(items.values()),
+        isCheckout: CHECKOUT_URL_HINTS.test(location.pathname) || !!total
+    };
+}
+
+/**
+ * Send this page's prices to the background timeline and flag the total
+ * if it has grown since the first price the user saw
+ */
+async function reportPriceSnapshot() {
+    const snapshot = extractPriceSnapshot(document.body);
+    if (!snapshot) return;
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: "priceSnapshot", snapshot });
+        const drip = response?.priceDrip;
+        if (!drip || snapshot.total === null || !lastTotalElement) return;
+        if (!isCategoryEnabled("Hidden Costs")) return;
+        if (isHighlighted(lastTotalElement)) return; // Already reported
+
+        const format = (amount) => `${drip.currency}${amount.toFixed(2)}`;
+        const fees = drip.fees.map(fee => `${fee.label} ${format(fee.amount)}`).join(', ');
+        recordStructuralFinding(lastTotalElement, {
+            type: "Hidden Costs",
+            message: `Total grew from ${format(drip.firstPrice)} to ${format(drip.finalTotal)} during checkout.` +
+                (fees ? `\nAdded later: ${fees}` : '')
+        }, `${format(drip.firstPrice)} → ${format(drip.finalTotal)} (+${format(drip.increase)})`);
+        sendResults();
+    } catch (e) {
+        // Background not reachable (extension reloaded)
+    }
+}
+
+// Roach motel: how much effort signing up takes compared to cancelling. Page loads,
+// clicks and form submissions are reported; background.js assembles them into
+// per-site flows and compares the two.
+const CANCEL_INTENT = /\b(cancel (my |your |the )?(subscription|membership|plan|account|trial)|unsubscribe|(delete|close|deactivate) (my |your |the )?account|end (my |your )?(subscription|membership))\b/i;
+const SIGNUP_INTENT = /\b(sign ?up|register|create (an |my |your )?account|subscribe|join (now|free|us|today)|start (my |your )?(free )?trial|get started)\b/i;
+const CANCEL_URL = /cancel|unsubscribe|(delete|close|deactivate)-?account/i;
+const SIGNUP_URL = /sign-?up|register|subscribe|start-?trial/i;
+const CANCEL_DONE = /(subscription|membership|plan|account) (has been |was |is )?(cancel+ed|deleted|closed|deactivated)|cancel+ation (is |has been )?(complete|confirmed|successful)|sorry to see you go/i;
+const SIGNUP_DONE = /welcome (aboard|to your (new )?account)|thanks? (you )?for (signing up|subscribing|joining|registering)|account (has been |was )?created|you('re| are) (now )?(subscribed|signed up|registered)|confirm your email/i;
+// "To cancel, please call us": the flow leaves the website
+const OFFLINE_CANCEL_CHANNELS = [
+    { channel: "phone", pattern: /\b(call|phone)\b.{0,60}\bcancel|\bcancel.{0,80}\b(call|phone)\b/i },
+    { channel: "chat", pattern: /\b(chat|live agent)\b.{0,60}\bcancel|\bcancel.{0,80}\b(live chat|chat with)\b/i }
+];
+const MAX_FLOW_TEXT = 20000;
+
+/**
+ * "cancel", "signup" or null for a control label / page heading and its URL
+ */
+function classifyIntent(text, url = '') {
+    // Cancel first: "Unsubscribe" and "Cancel subscription" mention subscribing
+    if (CANCEL_INTENT.test(text) || CANCEL_URL.test(url)) return "cancel";
+    if (SIGNUP_INTENT.test(text) || SIGNUP_URL.test(url)) return "signup";
+    return null;
+}
+
+function getFlowUrl() {
+    return location.origin + location.pathname; // No query strings: they may carry personal data
+}
+
+/**
+ * This page as a flow step: what it is about, whether it ends a flow,
+ * and whether it sends cancellations to the phone or chat
+ */
+function describePage() {
+    const headline = `${document.title} ${document.querySelector('h1')?.textContent || ''}`.replace(/\s+/g, ' ').trim();
+    const text = (document.body?.textContent || '').slice(0, MAX_FLOW_TEXT).replace(/\s+/g, ' ');
+
+    return {
+        kind: "page",
+        url: getFlowUrl(),
+        label: headline.substring(0, 80),
+        intent: classifyIntent(headline, location.pathname),
+        completed: CANCEL_DONE.test(text) ? "cancel" : (SIGNUP_DONE.test(text) ? "signup" : null),
+        channels: OFFLINE_CANCEL_CHANNELS.filter(({ pattern }) => pattern.test(text)).map(({ channel }) => channel)
+    };
+}
+
+function reportFlowEvent(event) {
+    // Flows are followed in the top frame; embedded widgets would only add noise
+    if (!IS_TOP_FRAME || !isDetectionEnabled()) return;
+    chrome.runtime.sendMessage({ action: "flowEvent", site: SITE_KEY, event: { ...event, at: Date.now() } })
+        .catch(() => { /* Background not reachable */ });
+}
+
+document.addEventListener('click', (event) => {
+    const control = event.target.closest?.(CHOICE_CONTROLS);
+    if (!control || control.closest('.safe-web-feedback-menu')) return;
+
+    const label = getControlText(control).substring(0, 80);
+    const href = control.getAttribute('href') || '';
+    reportFlowEvent({
+        kind: "click",
+        url: getFlowUrl(),
+        label,
+        intent: classifyIntent(label, href),
+        channels: href.startsWith('tel:') ? ["phone"] : (/\bchat\b/i.test(label) ? ["chat"] : [])
+    });
+}, true);
+
+document.addEventListener('submit', (event) => {
+    const form = event.target;
+    const fields = Array.from(form.elements || []).filter(field =>
+        ['INPUT', 'SELECT', 'TEXTAREA'].includes(field.tagName) &&
+        !['hidden', 'submit', 'button', 'image', 'reset'].includes(field.type) &&
+        isVisible(field)
+    ).length;
+
+    reportFlowEvent({
+        kind: "submit",
+        url: getFlowUrl(),
+        label: (form.getAttribute('aria-label') || form.getAttribute('name') || '').substring(0, 80),
+        intent: null,
+        fields
+    });
+}, true);
+
+/**
+ * Main scanning function
+ */
+// Helper for AI timeout
+const timeoutPromise = (ms) => new Promise((resolve) => setTimeout(() => resolve(null), ms));
+
+// Sandbox verdicts by context text, so the same candidate is only sent once
+// (feeds repeat the same badges on every card). Failed or timed-out calls are not kept.
+const AI_CACHE_LIMIT = 2000;
+const AI_BATCH_TIMEOUT_MS = 15000;
+const aiResultCache = new Map(); // context -> Promise of the sandbox result
+
+/**
+ * Sandbox verdicts for a list of contexts, in order. Contexts not seen before
+ * go to the sandbox together in one predictBatch round-trip.
+ */
+function predictCached(contexts) {
+    const missing = Array.from(new Set(contexts.filter(context => !aiResultCache.has(context))));
+
+    if (missing.length > 0) {
+        const batch = Promise.race([
+            window.SafeWebAI.predictDarkPatterns(missing),
+            timeoutPromise(AI_BATCH_TIMEOUT_MS)
+        ]).catch(() => null);
+
+        missing.forEach((context, i) => {
+            aiResultCache.set(context, batch.then(results => {
+                const result = results ? results[i] : null;
+                if (!result || result.error || result.fallback) aiResultCache.delete(context);
+                return result;
+            }));
+        });
+    }
+
+    const predictions = contexts.map(context => aiResultCache.get(context));
+    while (aiResultCache.size > AI_CACHE_LIMIT) {
+        aiResultCache.delete(aiResultCache.keys().next().value); // Oldest first
+    }
+    return Promise.all(predictions);
+}
+
+// New feedback changes what the sandbox would answer
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.feedbackVerdicts) aiResultCache.clear();
+});
+
+/**
+ * Scan the page, or with `roots` only those subtrees (incremental scan after
+ * DOM mutations: earlier findings are kept, not recounted)
+ */
+async function scanAndHighlight(roots = null) {
+    if (isScanning) return;
+    isScanning = true;
+    const incremental = Array.isArray(roots);
+    const scanStart = performance.now();
+    let found = false;
+    if (!incremental) {
+        detectionResults = [];
+        // Hybrid only while the sandbox model is ready; a failed batch turns it back off below
+        lastScanUsedAI = !!window.SafeWebAI?.isReady;
+        // background.js marks the frame as scanning until its next resultsReady
+        chrome.runtime.sendMessage({ action: "scanProgress", progress: 0, found: 0, pageStartedAt: getPageStartedAt() }).catch(() => { });
+    }
+
+    try {
+        // Ensure patterns are fully loaded before proceeding
+        await patternsLoadedPromise;
+
+        if (PATTERNS.length === 0) {
+            console.warn("[DarkPatternDetector] No patterns available. Scan aborted.");
+            return;
+        }
+
+        // First, count any already-highlighted elements from previous scans.
+        // Incremental scans only drop the ones whose content went away.
+        let existingHighlights = [];
+        if (incremental) {
+            pruneDetachedHighlights();
+        } else {
+            existingHighlights = getExistingHighlights();
+            // Phrases of one finding share it: count it once
+            detectionResults.push(...new Set(existingHighlights.flatMap(resultsFromHighlight)));
+        }
+
+        // Shadow roots and same-origin iframes are scanned like the main document
+        const scanRoots = (roots || [document.body]).flatMap(getScanRoots);
+        scanRoots.forEach(observeRoot);
+
+        // Structural detectors: form state that the keyword scan cannot see.
+        // Consent banners go first so their toggles and buttons are not reported twice.
+        if (isCategoryEnabled(CONSENT_TYPE)) {
+            scanRoots.flatMap(findConsentBanners).forEach(({ element, text, details }) => {
+                const result = recordStructuralFinding(element, {
+                    type: CONSENT_TYPE,
+                    message: details.issues.join('\n'),
+                    highlightStyle: "outline"
+                }, text, getContextText(element)); // The banner's own text, not the page's
+                if (!result) return;
+                result.consent = details;
+                found = true;
+            });
+        }
+
+        if (isCategoryEnabled(PRESELECTION_PATTERN.type)) {
+            scanRoots.flatMap(findPreselectedControls).forEach(({ element, text, control }) => {
+                // Rejected or not, the control's label is not a keyword finding either
+                preselectedControls.add(element);
+                preselectedControls.add(control);
+                if (recordStructuralFinding(element, PRESELECTION_PATTERN, text)) found = true;
+            });
+        }
+
+        if (isCategoryEnabled(VISUAL_INTERFERENCE_TYPE)) {
+            scanRoots.flatMap(findVisualInterference).forEach(({ element, text, signals }) => {
+                const result = recordStructuralFinding(element, {
+                    type: VISUAL_INTERFERENCE_TYPE,
+                    message: `The decline option is visually suppressed: ${signals.join(', ')}.`
+                }, text);
+                if (result) found = true;
+            });
+        }
+
+        // Countdowns are reported asynchronously once they have been seen ticking
+        scanRoots.forEach(watchTimerCandidates);
+
+        // Checkout totals are compared across pages by the background worker.
+        // Only the top frame reports, so embedded ads do not pollute the timeline.
+        // Incremental scans only re-read the prices when a price was added or changed.
+        if (IS_TOP_FRAME && (!incremental || roots.some(root => PRICE_REGEX.test(root.textContent)))) {
+            reportPriceSnapshot();
+        }
+
+        // Collect all text nodes that match regex patterns
+        const candidates = [];
+        resetRegions(scanRoots);
+
+        function findCandidates(node) {
+            if (node.nodeType === 3) { // Text node
+                // Text placed directly in a shadow root belongs to the host element
+                const parent = node.parentNode?.nodeType === 11 ? node.parentNode.host : node.parentNode;
+                if (parent && (parent.tagName === 'SCRIPT' || parent.tagName === 'STYLE' ||
+                    parent.tagName === 'NOSCRIPT' || parent.classList?.contains('safe-web-highlight'))) {
+                    return;
+                }
+
+                // Already drawn as an overlay, or cleared by the user
+                if (isHighlighted(node)) return;
+
+                // Part of a control already reported as Preselection (e.g. the selected option)
+                if (isInPreselectedControl(parent)) return;
+
+                // Left over from highlighting a phrase in it. Full scans look again,
+                // as the rules may have changed since.
+                if (incremental && isSplitText(node)) return;
+
+                // Text content check
+                const content = node.nodeValue;
+                if (!content || content.trim().length < 3) return;
+
+                // Visibility check: Only scan what the user can see
+                if (!isVisible(parent)) return;
+
+                // Legal text, cookie banners etc. as configured in regionPolicies
+                const region = getRegion(parent);
+                if (regionPolicies[region] === 'skip') return;
+
+                PATTERNS.forEach(pattern => {
+                    // Category switched off for this site
+                    if (!isCategoryEnabled(pattern.type)) return;
+
+                    // Use BROAD regex to find ANY potential candidate for the AI
+                    pattern.broadRegex.lastIndex = 0;
+                    if (pattern.broadRegex.test(content)) {
+                        // Start with the text node content
+                        let context = content;
+
+                        // Try to get surrounding context from parent (up to 300 chars)
+                        // This helps the AI understand "annual event" vs "billed annually"
+                        if (parent && parent.innerText) {
+                            context = parent.innerText;
+                            // Collapse whitespace
+                            context = context.replace(/\s+/g, ' ').trim();
+                            // Truncate if too long to prevent performance issues
+                            if (context.length > 300) {
+                                context = context.substring(0, 300) + "...";
+                            }
+                        }
+
+                        // The user already said this exact text is not a dark pattern
+                        if (rejectedContexts.has(context)) return;
+
+                        // Every keyword found was next to one of its "unless" phrases
+                        const match = matchKeywords(pattern, content, context);
+                        if (!match) return;
+
+                        candidates.push({
+                            node: node,
+                            content: content,
+                            context: context,
+                            pattern: pattern,
+                            weight: match.weight,
+                            ranges: match.ranges,
+                            region: region
+                        });
+                    }
+                });
+            } else if ((node.nodeType === 1 || node.nodeType === 11) && node.childNodes &&
+                !['SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME', 'SVG', 'IMG'].includes(node.tagName)) {
+                // Basic optimization: Don't traverse into obviously hidden containers
+                // (Limited depth check could be added here for performance)
+                // Shadow roots and iframe documents are separate scan roots (see getScanRoots)
+                Array.from(node.childNodes).forEach(child => findCandidates(child));
+            }
+        }
+
+        scanRoots.forEach(root => findCandidates(root));
+        console.log(`[DarkPatternDetector] Found ${candidates.length} new candidates, ${existingHighlights.length} existing`);
+
+        // Process candidates in batches to avoid overloading the sandbox (prevent timeouts)
+        // Each batch is a single predictBatch round-trip (one embed call in the sandbox)
+        const BATCH_SIZE = 50;
+
+        for (let i = 0, end; i < candidates.length; i = end) {
+            // A node's categories stay in one batch so they are highlighted together
+            end = Math.min(i + BATCH_SIZE, candidates.length);
+            while (end < candidates.length && candidates[end].node === candidates[end - 1].node) end++;
+
+            // Send progress update (incremental scans update the results quietly)
+            if (!incremental) {
+                try {
+                    chrome.runtime.sendMessage({
+                        action: "scanProgress",
+                        progress: Math.round((i / candidates.length) * 100),
+                        found: detectionResults.length + existingHighlights.length,
+                        pageStartedAt: getPageStartedAt()
+                    });
+                } catch (e) { /* Popup closed */ }
+            }
+
+            const batch = candidates.slice(i, end);
+            let aiResults = batch.map(() => null);
+
+            // Try AI prediction if available
+            if (window.SafeWebAI && window.SafeWebAI.isReady) {
+                console.log(`%c[DarkPatternDetector] 🤖 AI Request: ${batch.length} candidates`, "color: #667eea; font-weight: bold;");
+
+                // Cached per context; uncached ones race against the batch timeout
+                aiResults = await predictCached(batch.map(candidate => candidate.context));
+
+                // Log the exact context sent to the AI and its verdict
+                batch.forEach((candidate, j) => {
+                    const aiResult = aiResults[j];
+                    console.log(`   📝 Context: "${candidate.context}"`);
+                    console.log(`   🔑 Matched: "${candidate.content}"`);
+                    if (!aiResult || aiResult.error) {
+                        console.log(`   ⏱️ AI check timeout/failed, using regex: ${aiResult ? `${aiResult.code || "ERROR"} ${aiResult.error}` : "AI Timeout"}`);
+                    } else if (aiResult.score) {
+                        const style = aiResult.isDarkPattern ? "color: #e53e3e; font-weight: bold;" : "color: #38a169;";
+                        console.log(`   🎯 Result: %c${aiResult.type} (${(aiResult.score * 100).toFixed(1)}%)`, style);
+                    } else {
+                        console.log(`   ❓ Result: Low Confidence / Unknown`);
+                    }
+                });
+            } else if (batch.length > 0) {
+                console.log("[DarkPatternDetector] AI not ready, using regex fallback");
+            }
+
+            const batchResults = batch.map((candidate, j) => ({ candidate, aiResult: aiResults[j] }));
+
+            // Update results immediately for found items in this batch,
+            // collecting each text node's accepted categories first
+            const accepted = new Map(); // text node -> [{ candidate, aiResult, finalScore }]
+            for (const { candidate, aiResult } of batchResults) {
+                let shouldHighlight = false;
+                let finalScore = "Regex";
+
+                if (aiResult && !aiResult.fallback && !aiResult.error) {
+                    // AI is working: Trust the AI verdict (Broad Match + AI Verification).
+                    // The sandbox owns the decision threshold (classifier or similarity fallback).
+                    if (aiResult.isDarkPattern) {
+                        shouldHighlight = true;
+                        finalScore = aiResult.score;
+                    }
+                } else {
+                    if (window.SafeWebAI?.isReady) lastScanUsedAI = false; // AI request failed
+                    // AI failed/unavailable: Fallback to STRICT keywords (High Precision).
+                    // Broad keywords alone do not add up to a finding (see keywordWeight).
+                    if (candidate.weight >= STRICT_MATCH_WEIGHT) {
+                        shouldHighlight = true;
+                        finalScore = "Regex Fallback";
+                    }
+                }
+
+                if (shouldHighlight) {
+                    if (!accepted.has(candidate.node)) accepted.set(candidate.node, []);
+                    accepted.get(candidate.node).push({ candidate, aiResult, finalScore });
+                }
+            }
+
+            accepted.forEach((matches, node) => {
+                const nodeResults = highlightMatches(node, matches);
+                if (nodeResults.length) found = true;
+                detectionResults.push(...nodeResults);
+            });
+        }
+
+        return found;
+    } catch (err) {
+        console.error("[DarkPatternDetector] Scan error:", err);
+    } finally {
+        isScanning = false;
+        hasScanned = true;
+
+        const elapsed = (performance.now() - scanStart).toFixed(1);
+        console.debug(incremental
+            ? `[DarkPatternDetector] Incremental scan of ${roots.length} subtree(s) took ${elapsed} ms`
+            : `[DarkPatternDetector] Full scan took ${elapsed} ms`);
+
+        // Notify popup of results
+        try {
+            if (PATTERNS.length === 0) {
+                console.warn("[DarkPatternDetector] Scan finished with 0 results because PATTERNS list is empty/failed to load.");
+            }
+
+            // A full scan always reports, as background.js shows the frame as scanning until then
+            sendResults(!incremental);
+        } catch (e) {
+            // Popup not open
+        }
+    }
+
+    return found;
+}
+
+let lastSentResults = null; // What the last report said, so unchanged rescans send nothing
+
+/**
+ * When this document started loading: identifies the page visit in the history, and
+ * tells background.js which frames belong to which top-level document (a frame starts after its page)
+ */
+function getPageStartedAt() {
+    return Math.round(performance.timeOrigin);
+}
+
+/**
+ * Push the current results to the popup, if they changed since the last report (or `force`)
+ */
+function sendResults(force = false) {
+    const mode = lastScanUsedAI ? "Hybrid AI" : "Fallback Regex";
+    const sent = JSON.stringify([mode, detectionResults]);
+    if (!force && sent === lastSentResults) return;
+    lastSentResults = sent;
+
+    // background.js merges the results of every frame into one page-level view
+    chrome.runtime.sendMessage({
+        action: "resultsReady",
+        count: detectionResults.length,
+        results: detectionResults,
+        hasScanned: true,
+        mode: mode,
+        frameUrl: location.href,
+        pageStartedAt: getPageStartedAt()
+    }).catch(() => { /* Popup not open */ });
+}
+
+/**
+ * Merge the matched ranges of a text node's categories: ranges that overlap become
+ * one segment listing every category in it (also used to merge one category's ranges).
+ * -> [{ start, end, parts: [{ start, end, match }] }] in text order
+ */
+function mergeMatchRanges(matches) {
+    const ranges = matches
+        .flatMap(match => match.ranges.map(([start, end]) => ({ start, end, match })))
+        .sort((a, b) => a.start - b.start || b.end - a.end);
+
+    const segments = [];
+    ranges.forEach(range => {
+        const last = segments[segments.length - 1];
+        if (last && range.start < last.end) {
+            last.end = Math.max(last.end, range.end);
+            last.parts.push(range);
+        } else {
+            segments.push({ start: range.start, end: range.end, parts: [range] });
+        }
+    });
+    return segments;
+}
+
+/**
+ * The finding for one category of a text node, with the offsets of each of its
+ * matched phrases in the node's text: matches: [{ start, end, text }]
+ */
+function createMatchResult({ candidate, finalScore, ranges }, text) {
+    return {
+        type: candidate.pattern.type,
+        text: text.substring(0, 50),
+        fullText: text,
+        matches: mergeMatchRanges([{ ranges }]).map(({ start, end }) => ({ start, end, text: text.slice(start, end) })),
+        context: candidate.context,
+        selector: null, // Filled in once the highlight is in the page
+        method: typeof finalScore === 'number' ? "AI" : "Regex Fallback",
+        score: typeof finalScore === 'number' ? finalScore : null,
+        aiScore: finalScore,
+        region: candidate.region,
+        lowSeverity: regionPolicies[candidate.region] === 'lower'
+    };
+}
+
+/**
+ * Tooltip of a highlight: every category in it, with the AI confidence where there is one
+ */
+function getHighlightTitle(results, messages) {
+    let title = `Dark Pattern: ${results.map(r => r.type).join(', ')}\n${messages.join('\n')}`;
+    const scored = results.filter(r => typeof r.score === 'number');
+    if (scored.length === 1 && results.length === 1) {
+        title += `\nAI Confidence: ${(scored[0].score * 100).toFixed(0)}%`;
+    } else if (scored.length) {
+        title += `\nAI Confidence: ${scored.map(r => `${r.type} ${(r.score * 100).toFixed(0)}%`).join(', ')}`;
+    }
+    const low = results.find(r => r.lowSeverity);
+    if (low) title += `\nLower severity: found in the ${low.region === 'nav' ? "navigation" : low.region}`;
+    return title + "\nClick to mark as correct or not a dark pattern";
+}
+
+/**
+ * Highlight only the matched phrases of a text node. Overlapping matches of several
+ * categories share one highlight that lists all of them, and each category is one
+ * finding however many phrases it matched. Returns the findings that were highlighted.
+ */
+function highlightMatches(textNode, matches) {
+    if (!textNode.parentNode) {
+        // Node was detached from DOM during async processing
+        console.debug("Skipping highlight - node detached");
+        return [];
+    }
+
+    // The text changed while the AI was busy (e.g. a ticking countdown), so the
+    // offsets are stale: highlight the whole node instead
+    const text = textNode.nodeValue;
+    const stale = matches.some(({ candidate }) => candidate.content !== text);
+    matches = matches.map(match => ({ ...match, ranges: stale ? [[0, text.length]] : match.candidate.ranges }));
+    const findings = new Map(matches.map(match => [match, createMatchResult(match, text)]));
+    const highlighted = new Set();
+
+    // Last segment first: splitting the node off at the end keeps earlier offsets valid
+    mergeMatchRanges(matches).reverse().forEach(segment => {
+        const results = Array.from(new Set(segment.parts.map(part => findings.get(part.match))));
+        const messages = Array.from(new Set(segment.parts.map(part => part.match.candidate.pattern.message)));
+        const title = getHighlightTitle(results, messages);
+
+        if (highlightMode === "overlay") {
+            if (textNode.isConnected) {
+                highlightOverlay(textNode, results, title, { start: segment.start, end: segment.end });
+                results.forEach(result => highlighted.add(result));
+            }
+            return;
+        }
+
+        const span = document.createElement('span');
+        span.className = 'safe-web-highlight';
+        span.dataset.safeWebType = results.map(r => r.type).join(', ');
+        if (results.some(r => r.lowSeverity)) span.dataset.safeWebSeverity = 'low';
+        span.title = title;
+        highlightDetails.set(span, results);
+        wrappedHighlights.add(span);
+        activeHighlights.add(span);
+
+        // textNode keeps the text before the segment; the rest was scanned already
+        const matchNode = segment.start > 0 ? textNode.splitText(segment.start) : textNode;
+        if (segment.end - segment.start < matchNode.length) {
+            markSplitText(matchNode.splitText(segment.end - segment.start));
+        }
+        if (matchNode !== textNode) markSplitText(textNode);
+        span.textContent = matchNode.nodeValue;
+        matchNode.parentNode.replaceChild(span, matchNode);
+
+        const selector = getSelectorPath(span);
+        results.forEach(result => {
+            result.selector = selector; // Ends up as the first phrase's, as segments go backwards
+            highlighted.add(result);
+        });
+    });
+
+    return Array.from(findings.values()).filter(result => highlighted.has(result));
+}
+
+/**
+ * Highlight a whole element (structural findings have no single text node)
+ */
+function highlightElement(element, pattern, result) {
+    const title = `Dark Pattern: ${pattern.type}\n${pattern.message}`;
+
+    if (highlightMode === "overlay") {
+        highlightOverlay(element, [result], title);
+        return;
+    }
+
+    element.classList.add('safe-web-highlight');
+    element.dataset.safeWebType = pattern.type;
+    // Containers such as fixed banners get an outline that leaves their layout alone
+    if (pattern.highlightStyle) element.dataset.safeWebStyle = pattern.highlightStyle;
+    element.title = title;
+    highlightDetails.set(element, [result]);
+    activeHighlights.add(element);
+}
+
+// Overlay highlights: one .safe-web-overlay per highlighted phrase or element inside a fixed layer,
+// with a box for each line of the target (Range.getClientRects) and a clickable label.
+// The layer hangs off <html>, outside the <body> the observer watches.
+const activeHighlights = new Set(); // every highlight made by this script (spans, elements, overlays)
+const overlayTargets = new WeakMap(); // overlay -> highlighted text node or element
+const overlayRanges = new WeakMap(); // overlay -> { start, end } of the matched phrase in its text node
+const overlaidTargets = new WeakSet(); // text nodes and elements that have an overlay
+let clearedTargets = new WeakSet(); // dismissed with "Clear Highlights"; skipped until the next manual scan
+let overlayLayer = null;
+let overlayUpdateFrame = null;
+
+function isHighlighted(node) {
+    return !!node.classList?.contains('safe-web-highlight') || overlaidTargets.has(node) || clearedTargets.has(node);
+}
+
+/**
+ * Whether an element or anything inside it is already highlighted
+ */
+function containsHighlight(element) {
+    if (isHighlighted(element) || element.querySelector('.safe-web-highlight')) return true;
+    for (const highlight of activeHighlights) {
+        const target = overlayTargets.get(highlight);
+        if (target && element.contains(target)) return true;
+    }
+    return false;
+}
+
+function getOverlayLayer() {
+    if (!overlayLayer || !overlayLayer.isConnected) {
+        overlayLayer = document.createElement('div');
+        overlayLayer.className = 'safe-web-overlay-layer';
+        document.documentElement.appendChild(overlayLayer);
+    }
+    return overlayLayer;
+}
+
+/**
+ * Viewport offset of the (same-origin) iframe a node lives in, 0/0 for this document
+ */
+function getFrameOffset(node) {
+    let x = 0;
+    let y = 0;
+    let win = node.ownerDocument?.defaultView;
+    while (win && win !== window && win.frameElement) {
+        const rect = win.frameElement.getBoundingClientRect();
+        x += rect.left + win.frameElement.clientLeft;
+        y += rect.top + win.frameElement.clientTop;
+        win = win.parent;
+    }
+    return { x, y };
+}
+
+function getTargetRects(target, offsets) {
+    let rects;
+    if (target.nodeType === 3) {
+        const range = target.ownerDocument.createRange();
+        if (offsets) {
+            // The page may have shortened the text since
+            range.setStart(target, Math.min(offsets.start, target.length));
+            range.setEnd(target, Math.min(offsets.end, target.length));
+        } else {
+            range.selectNodeContents(target);
+        }
+        rects = range.getClientRects();
+    } else {
+        rects = target.getClientRects();
+    }
+    return Array.from(rects).filter(rect => rect.width > 0 && rect.height > 0);
+}
+
+/**
+ * Move an overlay's boxes onto its target's current line boxes
+ */
+function positionOverlay(overlay) {
+    const target = overlayTargets.get(overlay);
+    const rects = target.isConnected ? getTargetRects(target, overlayRanges.get(overlay)) : [];
+
+    overlay.querySelectorAll('.safe-web-overlay-box').forEach(box => box.remove());
+    overlay.hidden = rects.length === 0;
+    if (rects.length === 0) return;
+
+    const { x, y } = getFrameOffset(target);
+    rects.forEach(rect => {
+        const box = document.createElement('div');
+        box.className = 'safe-web-overlay-box';
+        box.style.left = `${rect.left + x}px`;
+        box.style.top = `${rect.top + y}px`;
+        box.style.width = `${rect.width}px`;
+        box.style.height = `${rect.height}px`;
+        overlay.appendChild(box);
+    });
+
+    const label = overlay.querySelector('.safe-web-overlay-label');
+    label.style.left = `${rects[0].left + x}px`;
+    label.style.top = `${rects[0].top + y}px`;
+}
+
+/**
+ * Reposition all overlays, at most once per frame
+ */
+function scheduleOverlayUpdate() {
+    if (overlayUpdateFrame || !overlayLayer) return;
+    overlayUpdateFrame = requestAnimationFrame(() => {
+        overlayUpdateFrame = null;
+        activeHighlights.forEach(highlight => {
+            if (overlayTargets.has(highlight)) positionOverlay(highlight);
+        });
     });
+}
 
-    // Save last category
-    if (currentCategory) {
-        categories.push(createPatternObject(currentCategory, keywords));
-    }
+// Capture phase so scrolling inside containers moves the overlays too
+window.addEventListener('scroll', scheduleOverlayUpdate, true);
+window.addEventListener('resize', scheduleOverlayUpdate);
+
+/**
+ * Overlay over an element, a text node or (with offsets) part of a text node
+ */
+function highlightOverlay(target, results, title, offsets = null) {
+    const types = results.map(r => r.type).join(', ');
+    const overlay = document.createElement('div');
+    overlay.className = 'safe-web-overlay';
+    overlay.dataset.safeWebType = types;
+    if (results.some(r => r.lowSeverity)) overlay.dataset.safeWebSeverity = 'low';
+
+    const label = document.createElement('div');
+    label.className = 'safe-web-overlay-label';
+    label.textContent = `⚠️ ${types}`;
+    label.title = title;
+    overlay.appendChild(label);
+
+    overlayTargets.set(overlay, target);
+    if (offsets) overlayRanges.set(overlay, offsets);
+    overlaidTargets.add(target);
+    highlightDetails.set(overlay, results);
+    activeHighlights.add(overlay);
+
+    getOverlayLayer().appendChild(overlay);
+    positionOverlay(overlay);
 
-    return categories;
+    // Text directly inside a shadow root has the host as its element
+    const element = target.nodeType === 3 ? (target.parentElement || target.parentNode?.host) : target;
+    if (element) {
+        const selector = getSelectorPath(element);
+        results.forEach(result => { result.selector = selector; });
+    }
 }
 
-// Helper to build the regex object
-function createPatternObject(type, keywordList) {
-    // Join all keywords with OR logic: (keyword1|keyword2|...)
-    // We escape special chars EXCEPT keys like \d, ., ?, *, +, (, ), | which are needed for regex logic
-    // Since user inputs raw regex fragments in text file (e.g. \d+), we generally TRUST their input.
-    // Ideally we'd have a flag for "isRegex", but for simplicity here we assume fragments are valid regex parts.
+/**
+ * Forget highlights (and their findings) whose content the page removed
+ */
+function pruneDetachedHighlights() {
+    activeHighlights.forEach(highlight => {
+        if (!(overlayTargets.get(highlight) || highlight).isConnected) removeHighlight(highlight);
+    });
+}
 
-    const broadPattern = `\\b(${keywordList.join('|')})\\b`;
+/**
+ * Highlights from earlier scans that are still on the page, dropping any whose
+ * content the page has since removed. Also picks up spans left by a previous
+ * instance of this script (extension reload).
+ */
+function getExistingHighlights() {
+    pruneDetachedHighlights();
+    return Array.from(new Set([...activeHighlights, ...document.querySelectorAll('.safe-web-highlight')]));
+}
 
-    // For now, Strict Regex is just a stricter subset (or same) since we lost the manual separation in text file.
-    // In a sophisticated text format, we could have [Urgency-Strict]. 
-    // For now, we reuse the same regex for strictly matching or rely on AI confidence.
+/**
+ * The detection records of a highlight (one per category in it), rebuilt from the
+ * page if we have no record (e.g. highlights from before the content script was reloaded)
+ */
+function resultsFromHighlight(el) {
+    const results = highlightDetails.get(el);
+    if (results) return results;
 
-    return {
+    const text = el.textContent.replace(/\s+/g, ' ').trim();
+    return (el.dataset.safeWebType || "Unknown").split(', ').map(type => ({
         type: type,
-        broadRegex: new RegExp(broadPattern, 'gi'),
-        // Strict fallback is same as broad for now in this simple text format
-        // This relies more heavily on AI for refinement
-        strictRegex: new RegExp(broadPattern, 'gi'),
-        message: `Potential ${type} pattern detected.`
+        text: text.substring(0, 50),
+        fullText: text,
+        context: text,
+        selector: getSelectorPath(el),
+        method: "Unknown",
+        score: null
+    }));
+}
+
+/**
+ * Surrounding text for a finding, collapsed and capped like the AI context
+ */
+function getContextText(element) {
+    const text = (element?.innerText || '').replace(/\s+/g, ' ').trim();
+    return text.length > 300 ? text.substring(0, 300) + "..." : text;
+}
+
+/**
+ * Highlight and record a finding from a structural (non-keyword) detector.
+ * Returns null, and records nothing, if the user rejected this finding before.
+ */
+function recordStructuralFinding(element, pattern, text, context = getContextText(element.parentElement || element)) {
+    const result = {
+        type: pattern.type,
+        text: text.substring(0, 50),
+        fullText: text,
+        context,
+        selector: getSelectorPath(element),
+        method: "Structural",
+        score: null,
+        aiScore: "Structural"
     };
+    if (isRejected(result)) return null;
+    highlightElement(element, pattern, result);
+    detectionResults.push(result);
+    return result;
 }
 
-// Initialize patterns - Store promise to avoid race conditions
-const patternsLoadedPromise = loadPatterns();
+// User feedback on highlights: "Correct" / "Not a dark pattern".
+// Verdicts are stored in chrome.storage; background.js syncs them into the sandbox,
+// which uses confirmed texts as extra examples and rejected ones as negatives.
+const MAX_FEEDBACK_VERDICTS = 500;
+const highlightDetails = new WeakMap(); // highlight element -> detection result records, one per category
+const wrappedHighlights = new WeakSet(); // spans created around matched phrases (removed by unwrapping)
+const splitTextNodes = new WeakMap(); // text left around a wrapped phrase -> its text when split (scanned already)
+const rejectedContexts = new Set();
+// Structural findings (timers, totals, banners) often change their text: they are also matched by site, category and element
+const rejectedElements = new Set();
+let feedbackMenu = null;
 
+function getRejectionKey(url, type, selector) {
+    return `${new URL(url).origin} ${type} ${selector}`;
+}
 
-// Common benign patterns to ignore (Legalese, footers, etc.)
-const IGNORED_PATTERNS = [
-    /all rights reserved/gi,
-    /privacy policy/gi,
-    /terms (of|and) (use|service|conditions)/gi,
-    /copyright/gi,
-    /trademarks?/gi,
-    /\d+-star prices/gi, // Specific fix for user's feedback
-    /responsible for content/gi,
-    /mobile app/gi
-];
+function rememberRejection(verdict) {
+    rejectedContexts.add(verdict.context);
+    if (verdict.selector) rejectedElements.add(getRejectionKey(verdict.url, verdict.type, verdict.selector));
+}
 
-// Detection results storage
-let detectionResults = [];
-let isScanning = false;
-let hasScanned = false;
-let isPaused = false;
-let lastScanUsedAI = false; // Tracks if AI was actually used in the last scan
+/**
+ * The user marked this finding "Not a dark pattern" on an earlier scan
+ */
+function isRejected(result) {
+    return rejectedContexts.has(result.context) ||
+        rejectedElements.has(getRejectionKey(location.href, result.type, result.selector));
+}
 
-// Initialize Pause State
-chrome.storage.local.get(['isPaused'], (result) => {
-    isPaused = result.isPaused || false;
+chrome.storage.local.get(['feedbackVerdicts'], (result) => {
+    (result.feedbackVerdicts || [])
+        .filter(v => v.verdict === 'rejected')
+        .forEach(rememberRejection);
 });
 
+function closeFeedbackMenu() {
+    if (feedbackMenu) {
+        feedbackMenu.remove();
+        feedbackMenu = null;
+    }
+}
+
 /**
- * Main scanning function
+ * Show the feedback menu under a highlight
  */
-// Helper for AI timeout
-const timeoutPromise = (ms) => new Promise((resolve) => setTimeout(() => resolve(null), ms));
+function openFeedbackMenu(highlight) {
+    closeFeedbackMenu();
 
-async function scanAndHighlight() {
-    if (isScanning) return;
-    isScanning = true;
-    detectionResults = [];
-    let found = false;
-    lastScanUsedAI = false; // Reset for this scan
+    const details = resultsFromHighlight(highlight);
 
-    try {
-        // Ensure patterns are fully loaded before proceeding
-        await patternsLoadedPromise;
+    feedbackMenu = document.createElement('div');
+    feedbackMenu.className = 'safe-web-feedback-menu';
 
-        if (PATTERNS.length === 0) {
-            console.warn("[DarkPatternDetector] No patterns available. Scan aborted.");
-            return;
-        }
+    const title = document.createElement('div');
+    title.className = 'safe-web-feedback-title';
+    title.textContent = details.map(d => d.type).join(', ');
+    feedbackMenu.appendChild(title);
 
-        // First, count any already-highlighted elements from previous scans
-        const existingHighlights = document.querySelectorAll('.safe-web-highlight');
-        existingHighlights.forEach(el => {
-            detectionResults.push({
-                type: el.dataset.safeWebType || "Unknown",
-                text: el.textContent.substring(0, 50)
-            });
+    [
+        { verdict: 'confirmed', label: '✓ Correct' },
+        { verdict: 'rejected', label: '✗ Not a dark pattern' }
+    ].forEach(({ verdict, label }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            submitFeedback(highlight, details, verdict);
+            closeFeedbackMenu();
         });
+        feedbackMenu.appendChild(button);
+    });
 
-        // Collect all text nodes that match regex patterns
-        // Collect all text nodes that match regex patterns
-        const candidates = [];
+    // Overlays are positioned by their label
+    const anchor = highlight.querySelector('.safe-web-overlay-label') || highlight;
+    const rect = anchor.getBoundingClientRect();
+    feedbackMenu.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    feedbackMenu.style.left = `${rect.left + window.scrollX}px`;
+    document.body.appendChild(feedbackMenu);
+}
 
-        function isVisible(element) {
-            if (!element) return false;
+/**
+ * Store a verdict (for every category of the highlight) and update the page to reflect it
+ */
+function submitFeedback(highlight, details, verdict) {
+    const entries = details.map(d => ({
+        verdict,
+        type: d.type,
+        text: d.text,
+        context: d.context,
+        selector: d.selector,
+        url: location.href,
+        at: Date.now()
+    }));
 
-            // Fast checks
-            if (element.offsetParent === null && element.style.position !== 'fixed') return false; // Hidden (display: none)
+    chrome.storage.local.get(['feedbackVerdicts'], (result) => {
+        const verdicts = (result.feedbackVerdicts || [])
+            .filter(v => !entries.some(entry => v.context === entry.context && v.type === entry.type));
+        verdicts.push(...entries);
+        chrome.storage.local.set({ feedbackVerdicts: verdicts.slice(-MAX_FEEDBACK_VERDICTS) });
+    });
 
-            // Detailed style checks
-            const style = window.getComputedStyle(element);
-            if (style.display === 'none') return false;
-            if (style.visibility === 'hidden') return false;
-            if (style.opacity === '0') return false;
+    if (verdict === 'confirmed') {
+        highlight.dataset.safeWebVerdict = 'confirmed';
+        return;
+    }
 
-            // Size check (skip 1x1 tracking pixels etc)
-            const rect = element.getBoundingClientRect();
-            if (rect.width < 5 || rect.height < 5) return false;
+    entries.forEach(rememberRejection);
 
-            return true;
-        }
+    // removeHighlight drops the findings it recorded; highlights left by an earlier
+    // instance of this script only match by type and text
+    const tracked = highlightDetails.has(highlight);
+    // The other phrases of the same findings go too
+    Array.from(activeHighlights)
+        .filter(other => other !== highlight && (highlightDetails.get(other) || []).some(r => details.includes(r)))
+        .forEach(removeHighlight);
+    removeHighlight(highlight);
+    if (!tracked) {
+        details.forEach(d => {
+            const index = detectionResults.findIndex(r => r.type === d.type && r.text === d.text);
+            if (index !== -1) detectionResults.splice(index, 1);
+        });
+    }
+    sendResults();
+}
 
-        function findCandidates(node) {
-            if (node.nodeType === 3) { // Text node
-                const parent = node.parentNode;
-                if (parent && (parent.tagName === 'SCRIPT' || parent.tagName === 'STYLE' ||
-                    parent.tagName === 'NOSCRIPT' || parent.classList?.contains('safe-web-highlight'))) {
-                    return;
-                }
+/**
+ * Undo a highlight: unwrap text-node spans, strip the markers from structural ones
+ */
+function removeHighlight(highlight) {
+    (highlightDetails.get(highlight) || []).forEach(result => {
+        if (detectionResults.includes(result)) detectionResults.splice(detectionResults.indexOf(result), 1);
+    });
+    highlightDetails.delete(highlight);
+    activeHighlights.delete(highlight);
 
-                // Text content check
-                const content = node.nodeValue;
-                if (!content || content.trim().length < 3) return;
+    // Overlays never touched the page: just drop the boxes
+    if (overlayTargets.has(highlight)) {
+        const target = overlayTargets.get(highlight);
+        overlayTargets.delete(highlight);
+        // Other phrases of the same text node may still have an overlay
+        if (!Array.from(activeHighlights).some(other => overlayTargets.get(other) === target)) {
+            overlaidTargets.delete(target);
+        }
+        highlight.remove();
+        return target;
+    }
 
-                // Visibility check: Only scan what the user can see
-                if (!isVisible(parent)) return;
+    if (wrappedHighlights.has(highlight)) {
+        // Join the phrase back up with the text around it
+        const textNode = document.createTextNode(highlight.textContent);
+        highlight.replaceWith(textNode);
+        const previous = textNode.previousSibling;
+        if (previous?.nodeType === 3 && !isHighlighted(previous)) {
+            textNode.insertData(0, previous.nodeValue);
+            previous.remove();
+        }
+        const next = textNode.nextSibling;
+        if (next?.nodeType === 3 && !isHighlighted(next)) {
+            textNode.appendData(next.nodeValue);
+            next.remove();
+        }
+        return textNode;
+    }
 
-                // Check if content matches any ignore patterns
-                for (const ignorePattern of IGNORED_PATTERNS) {
-                    if (ignorePattern.test(content)) return;
-                }
+    highlight.classList.remove('safe-web-highlight');
+    delete highlight.dataset.safeWebType;
+    delete highlight.dataset.safeWebStyle;
+    delete highlight.dataset.safeWebVerdict;
+    highlight.removeAttribute('title');
+    return highlight;
+}
 
-                PATTERNS.forEach(pattern => {
-                    // Use BROAD regex to find ANY potential candidate for the AI
-                    pattern.broadRegex.lastIndex = 0;
-                    if (pattern.broadRegex.test(content)) {
-                        // Start with the text node content
-                        let context = content;
+/**
+ * "Clear Highlights": take every highlight and overlay down. The cleared text
+ * stays unhighlighted on automatic rescans until the user scans again.
+ */
+function clearHighlights() {
+    closeFeedbackMenu();
+    getExistingHighlights().forEach(highlight => clearedTargets.add(removeHighlight(highlight)));
+    overlayLayer?.remove();
+    overlayLayer = null;
 
-                        // Try to get surrounding context from parent (up to 300 chars)
-                        // This helps the AI understand "annual event" vs "billed annually"
-                        if (parent && parent.innerText) {
-                            context = parent.innerText;
-                            // Collapse whitespace
-                            context = context.replace(/\s+/g, ' ').trim();
-                            // Truncate if too long to prevent performance issues
-                            if (context.length > 300) {
-                                context = context.substring(0, 300) + "...";
-                            }
-                        }
+    detectionResults = [];
+    sendResults();
+}
 
-                        candidates.push({
-                            node: node,
-                            content: content,
-                            context: context,
-                            pattern: pattern
-                        });
-                    }
-                });
-            } else if (node.nodeType === 1 && node.childNodes &&
-                !['SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME', 'SVG', 'IMG'].includes(node.tagName)) {
-                // Basic optimization: Don't traverse into obviously hidden containers
-                // (Limited depth check could be added here for performance)
-                Array.from(node.childNodes).forEach(child => findCandidates(child));
-            }
-        }
+// Open the menu on click. Highlights on links/buttons/labels keep their normal
+// behaviour and need Alt+click, so the page still works.
+document.addEventListener('click', (event) => {
+    if (feedbackMenu && feedbackMenu.contains(event.target)) return;
 
-        findCandidates(document.body);
-        console.log(`[DarkPatternDetector] Found ${candidates.length} new candidates, ${existingHighlights.length} existing`);
+    const highlight = event.target.closest?.('.safe-web-highlight, .safe-web-overlay');
+    if (!highlight) {
+        closeFeedbackMenu();
+        return;
+    }
 
-        // Process candidates in batches to avoid overloading the sandbox (prevent timeouts)
-        const BATCH_SIZE = 3;
-        const results = [];
-
-        for (let i = 0; i < candidates.length; i += BATCH_SIZE) {
-            // Send progress update
-            try {
-                chrome.runtime.sendMessage({
-                    action: "scanProgress",
-                    progress: Math.round((i / candidates.length) * 100),
-                    found: detectionResults.length + existingHighlights.length
-                });
-            } catch (e) { /* Popup closed */ }
-
-            const batch = candidates.slice(i, i + BATCH_SIZE);
-            const batchPromises = batch.map(async (candidate) => {
-                let aiResult = null;
-
-                // Try AI prediction if available
-                if (window.SafeWebAI && window.SafeWebAI.isReady) {
-                    try {
-                        // Log the exact context being sent to AI
-                        console.log(`%c[DarkPatternDetector] 🤖 AI Request:`, "color: #667eea; font-weight: bold;");
-                        console.log(`   📝 Context: "${candidate.context}"`);
-                        console.log(`   🔑 Matched: "${candidate.content}"`);
-
-                        // Race against timeout (5 seconds)
-                        aiResult = await Promise.race([
-                            window.SafeWebAI.predictDarkPattern(candidate.context),
-                            timeoutPromise(5000)
-                        ]);
-
-                        if (!aiResult) throw new Error("AI Timeout");
-
-                        if (aiResult && aiResult.score) {
-                            const style = aiResult.score > 0.6 ? "color: #e53e3e; font-weight: bold;" : "color: #38a169;";
-                            console.log(`   🎯 Result: %c${aiResult.type} (${(aiResult.score * 100).toFixed(1)}%)`, style);
-                        } else {
-                            console.log(`   ❓ Result: Low Confidence / Unknown`);
-                        }
-                    } catch (e) {
-                        console.log("[DarkPatternDetector] AI check timeout/failed, using regex:", e.message);
-                    }
-                } else {
-                    console.log("[DarkPatternDetector] AI not ready, using regex fallback");
-                }
+    const interactive = highlight.closest('a, button, label, input, select, [role="button"]');
+    if (interactive && !event.altKey) return;
 
-                return { candidate, aiResult };
-            });
+    event.preventDefault();
+    event.stopPropagation();
+    openFeedbackMenu(highlight);
+}, true);
 
-            // Wait for current batch to finish before starting next
-            const batchResults = await Promise.all(batchPromises);
-            results.push(...batchResults);
+// Pick up pattern edits from the options page without reloading the tab
+chrome.storage.onChanged.addListener(async (changes, area) => {
+    if (area !== 'local' || !changes.patternRules) return;
 
-            // Update results immediately for found items in this batch
-            for (const { candidate, aiResult } of batchResults) {
-                let shouldHighlight = false;
-                let finalScore = "Regex";
+    await patternsLoadedPromise;
+    if (changes.patternRules.newValue) {
+        PATTERNS = buildPatterns(changes.patternRules.newValue);
+        console.log(`[DarkPatternDetector] Patterns updated from options (${PATTERNS.length} categories)`);
+    } else {
+        // Options were reset: back to the bundled file
+        await loadPatterns();
+    }
 
-                if (aiResult && !aiResult.fallback && !aiResult.error) {
-                    // AI is working: Trust the AI score (Broad Match + AI Verification)
-                    if (aiResult.score && aiResult.score > 0.6) {
-                        shouldHighlight = true;
-                        finalScore = aiResult.score;
-                        lastScanUsedAI = true; // Mark that AI was successfully used
-                    }
-                } else {
-                    // AI failed/unavailable: Fallback to STRICT Regex (High Precision)
-                    // We re-check the content against the STRICT regex to avoid false positives
-                    candidate.pattern.strictRegex.lastIndex = 0;
-                    if (candidate.pattern.strictRegex.test(candidate.content)) {
-                        shouldHighlight = true;
-                        finalScore = "Regex Fallback";
-                    }
-                }
+    if (isDetectionEnabled()) scanAndHighlight();
+});
 
-                if (shouldHighlight) {
-                    highlightTextNode(candidate.node, candidate.pattern, aiResult);
-                    found = true;
-                    detectionResults.push({
-                        type: candidate.pattern.type,
-                        text: candidate.content.substring(0, 50),
-                        aiScore: finalScore
-                    });
-                }
-            }
-        }
+// Apply per-site rule changes from the popup
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes.siteRules) return;
 
-        return found;
-    } catch (err) {
-        console.error("[DarkPatternDetector] Scan error:", err);
-    } finally {
-        isScanning = false;
-        hasScanned = true;
+    const previous = siteRule;
+    siteRule = { mode: "default", disabledCategories: [], ...(changes.siteRules.newValue || {})[SITE_KEY] };
+    if (JSON.stringify(previous) === JSON.stringify(siteRule)) return;
 
-        // Notify popup of results
-        try {
-            if (PATTERNS.length === 0) {
-                console.warn("[DarkPatternDetector] Scan finished with 0 results because PATTERNS list is empty/failed to load.");
-            }
+    console.log(`[DarkPatternDetector] Site rule for ${SITE_KEY}:`, siteRule);
 
-            chrome.runtime.sendMessage({
-                action: "resultsReady",
-                count: detectionResults.length,
-                results: detectionResults,
-                hasScanned: true
-            });
-        } catch (e) {
-            // Popup not open
-        }
+    // Take down highlights the user no longer wants on this site
+    getExistingHighlights().forEach(el => {
+        if (!isDetectionEnabled() || resultsFromHighlight(el).some(r => !isCategoryEnabled(r.type))) removeHighlight(el);
+    });
+
+    if (isDetectionEnabled()) {
+        startDetection();
+    } else {
+        detectionResults = [];
+        sendResults();
     }
+});
 
-    return found;
-}
+// Region policy edits from the options page redraw the page under the new policies
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes.regionPolicies) return;
 
-/**
- * Highlight a text node with the dark pattern warning
- */
-function highlightTextNode(textNode, pattern, aiResult) {
-    const span = document.createElement('span');
-    span.className = 'safe-web-highlight';
-    span.dataset.safeWebType = pattern.type;
+    regionPolicies = getRegionPolicies(changes.regionPolicies.newValue);
+    getExistingHighlights().forEach(removeHighlight);
+    if (isDetectionEnabled()) scanAndHighlight();
+});
 
-    let title = `Dark Pattern: ${pattern.type}\n${pattern.message}`;
-    if (aiResult && aiResult.score) {
-        title += `\nAI Confidence: ${(aiResult.score * 100).toFixed(0)}%`;
-    }
-    span.title = title;
+// Switching between inline and overlay highlights redraws the page in the new style
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes.highlightMode) return;
 
-    const text = textNode.nodeValue;
-    span.textContent = text;
+    highlightMode = changes.highlightMode.newValue || "inline";
+    getExistingHighlights().forEach(removeHighlight);
+    if (isDetectionEnabled()) scanAndHighlight();
+});
 
-    if (textNode.parentNode) {
-        textNode.parentNode.replaceChild(span, textNode);
-    } else {
-        // Node was detached from DOM during async processing
-        console.debug("Skipping highlight - node detached");
-    }
+/**
+ * Everything an auditor needs about this page's findings
+ */
+function getReport() {
+    return {
+        url: location.href,
+        title: document.title,
+        scannedAt: new Date().toISOString(),
+        mode: lastScanUsedAI ? "Hybrid AI" : "Fallback Regex",
+        findings: getResults().results
+    };
 }
 
 /**
@@ -372,66 +2146,180 @@ function highlightTextNode(textNode, pattern, aiResult) {
 function getResults() {
     // If detectionResults is empty, count existing highlights
     if (detectionResults.length === 0) {
-        const existingHighlights = document.querySelectorAll('.safe-web-highlight');
-        existingHighlights.forEach(el => {
-            detectionResults.push({
-                type: el.dataset.safeWebType || "Unknown",
-                text: el.textContent.substring(0, 50)
-            });
-        });
+        const existingHighlights = getExistingHighlights();
+        detectionResults.push(...new Set(existingHighlights.flatMap(resultsFromHighlight)));
     }
     return {
         count: detectionResults.length,
         results: detectionResults,
         isScanning: isScanning,
         hasScanned: hasScanned,
-        mode: lastScanUsedAI ? "Hybrid AI" : "Fallback Regex"
+        mode: lastScanUsedAI ? "Hybrid AI" : "Fallback Regex",
+        site: SITE_KEY,
+        siteRule: siteRule,
+        categories: getCategories()
     };
 }
 
 // Listen for messages from Popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === "scan") {
-        if (!isPaused) {
+        if (isDetectionEnabled()) {
+            // A manual scan brings back anything cleared with "Clear Highlights"
+            clearedTargets = new WeakSet();
             scanAndHighlight();
-        } else {
-            alert("Detection is paused. Click 'Resume Detection' in the extension popup to scan.");
+        } else if (window === window.top) {
+            // Every frame gets the message: only the top one tells the user
+            alert(siteRule.mode === "never"
+                ? "Detection is turned off for this site. Change it under 'This Site' in the extension popup."
+                : "Detection is paused. Click 'Resume Detection' in the extension popup to scan.");
         }
         sendResponse({ isScanning: true }); // Return immediately
         return false;
     } else if (request.action === "getResults") {
         sendResponse(getResults());
+    } else if (request.action === "getReport") {
+        sendResponse(getReport());
+    } else if (request.action === "clearHighlights") {
+        clearHighlights();
+        sendResponse({ cleared: true });
     } else if (request.action === "togglePause") {
         isPaused = request.isPaused;
-        if (!isPaused) {
+        if (isDetectionEnabled()) {
             // Auto-resume scan if unpaused
-            scanAndHighlight();
+            startDetection();
         }
     }
 });
 
-// Run scan 2 seconds after page load
-// Setup MutationObserver for dynamic content (Infinite Scroll / SPA)
+// Setup MutationObserver for dynamic content (Infinite Scroll / SPA).
+// Only the added and changed subtrees are rescanned.
 let scanTimeout = null;
-const observer = new MutationObserver((mutations) => {
-    if (isPaused || isScanning) return;
+const pendingScanRoots = new Set();
+let nodesRemoved = false; // Highlighted content may have gone with them
+
+/**
+ * Remember text split off around a highlighted phrase, so that the split is not taken for a page change
+ */
+function markSplitText(node) {
+    splitTextNodes.set(node, node.nodeValue);
+}
+
+/**
+ * Text this script split and the page has not changed since (it was scanned as part of the original node)
+ */
+function isSplitText(node) {
+    return splitTextNodes.has(node) && splitTextNodes.get(node) === node.nodeValue;
+}
+
+/**
+ * Nodes this script adds itself (highlight spans, the feedback menu, text split off a highlighted phrase)
+ */
+function isOwnNode(node) {
+    if (isSplitText(node)) return true;
+    return node.nodeType === 1 &&
+        (node.classList.contains('safe-web-highlight') || node.classList.contains('safe-web-feedback-menu'));
+}
 
-    // Debounce: Wait 1.5s after last DOM change to avoid performance issues
+/**
+ * Debounced: scan the subtrees collected by the observer
+ */
+function scheduleIncrementalScan() {
+    // Debounce: Wait 750ms after last DOM change to avoid performance issues
     if (scanTimeout) clearTimeout(scanTimeout);
     scanTimeout = setTimeout(() => {
-        console.log("[DarkPatternDetector] DOM changed (scroll/nav), triggering auto-scan...");
-        scanAndHighlight();
+        if (isScanning) {
+            scheduleIncrementalScan(); // Try again once the current scan is done
+            return;
+        }
+
+        // Text nodes are scanned through their parent; nested roots are covered by their ancestor
+        const nodes = Array.from(pendingScanRoots)
+            .map(node => node.nodeType === 3 ? node.parentNode : node)
+            .filter(node => node && node.isConnected);
+        pendingScanRoots.clear();
+        const roots = Array.from(new Set(nodes))
+            .filter((node, i, all) => !all.some(other => other !== node && other.contains(node)));
+
+        if (roots.length === 0) {
+            // Nothing new to scan, but removed findings should leave the popup
+            const before = detectionResults.length;
+            if (nodesRemoved) pruneDetachedHighlights();
+            nodesRemoved = false;
+            if (detectionResults.length !== before) sendResults();
+            return;
+        }
+        nodesRemoved = false;
+
+        console.log(`[DarkPatternDetector] DOM changed (scroll/nav), scanning ${roots.length} new subtree(s)...`);
+        scanAndHighlight(roots);
     }, 750);
+}
+
+const observer = new MutationObserver((mutations) => {
+    // Ticking countdowns are sampled here; they alone should not trigger a rescan
+    if (sampleTimerMutations(mutations)) return;
+
+    // Layout may have moved under the overlays
+    scheduleOverlayUpdate();
+
+    if (mutations.every(mutation => mutation.type === 'characterData')) return;
+
+    if (!isDetectionEnabled()) return;
+
+    mutations.forEach(mutation => {
+        if (mutation.type === 'characterData') {
+            // Splitting a text node around a highlight shortens the original
+            if (!isSplitText(mutation.target)) pendingScanRoots.add(mutation.target);
+            return;
+        }
+        mutation.addedNodes.forEach(node => {
+            if (!isOwnNode(node)) pendingScanRoots.add(node);
+        });
+        if (mutation.removedNodes.length > 0) nodesRemoved = true;
+    });
+
+    if (pendingScanRoots.size > 0 || nodesRemoved) scheduleIncrementalScan();
 });
 
-// Run observer & initial scan
-patternsLoadedPromise.then(() => {
-    if (!isPaused && document.body) {
-        // Start observing
-        observer.observe(document.body, { childList: true, subtree: true });
-        // Initial Scan
-        scanAndHighlight();
+let isObserving = false;
+const observedRoots = new WeakSet();
+
+/**
+ * Shadow roots and iframe documents are not covered by the body observer
+ */
+function observeRoot(root) {
+    if (root === document.body || observedRoots.has(root)) return;
+    observedRoots.add(root);
+    observer.observe(root, { childList: true, characterData: true, subtree: true });
+}
+
+/**
+ * Start observing (once) and run a scan
+ */
+function startDetection() {
+    if (!document.body) return;
+    if (!isObserving) {
+        observer.observe(document.body, { childList: true, characterData: true, subtree: true });
+        isObserving = true;
+    }
+    scanAndHighlight();
+}
+
+// A new document in this frame: drop whatever background.js held for it
+chrome.runtime.sendMessage({ action: "frameLoaded", url: location.href, pageStartedAt: getPageStartedAt() }).catch(() => { });
+
+// Run observer & initial scan once patterns and site rules are known
+Promise.all([patternsLoadedPromise, settingsLoadedPromise]).then(() => {
+    if (isDetectionEnabled()) {
+        startDetection();
     }
+    reportFlowEvent(describePage());
+});
+
+// The model finished loading after a regex-only scan: verify the page with the AI
+window.SafeWebAI?.onReady?.(() => {
+    if (hasScanned && !lastScanUsedAI && isDetectionEnabled()) scanAndHighlight();
 });
 
 console.log("[DarkPatternDetector] Content script loaded (regex detection)");
@@ -0,0 +1,270 @@
+/**
+ * DarkPatternDetector - History Dashboard
+ *
+ * Reads the visits recorded by background.js (see history-store.js) and shows
+ * the worst sites, a per-site trend across visits and recent example findings.
+ */
+
+const CATEGORY_COLORS = ['#c62828', '#ef6c00', '#f9a825', '#2e7d32', '#00838f', '#1565c0', '#6a1b9a', '#ad1457', '#4e342e', '#546e7a', '#827717', '#283593'];
+const MAX_RANKED_SITES = 20;
+const MAX_TREND_VISITS = 30;
+const MAX_RECENT_FINDINGS = 50;
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const categoryFilter = document.getElementById('categoryFilter');
+    const domainFilter = document.getElementById('domainFilter');
+    const retentionSelect = document.getElementById('retention');
+
+    let visits = [];
+    let categories = [];
+
+    const formatDate = (time) => new Date(time).toLocaleDateString();
+    const colorOf = (type) => CATEGORY_COLORS[categories.indexOf(type) % CATEGORY_COLORS.length];
+
+    // Findings of a visit that pass the category filter
+    function countOf(visit) {
+        const category = categoryFilter.value;
+        return category ? visit.categories[category] || 0 : visit.count;
+    }
+
+    function filteredVisits() {
+        const domain = domainFilter.value.trim().toLowerCase();
+        return visits.filter(visit => !domain || visit.domain.includes(domain));
+    }
+
+    /**
+     * Sites ordered by findings per visit, so one long session does not outrank a site
+     * that is bad every time
+     */
+    function rankSites(list) {
+        const sites = {};
+        list.forEach(visit => {
+            const site = sites[visit.domain] = sites[visit.domain] || { domain: visit.domain, visits: 0, total: 0, byCategory: {}, lastVisit: 0 };
+            site.visits++;
+            site.total += countOf(visit);
+            site.lastVisit = Math.max(site.lastVisit, visit.date);
+            Object.entries(visit.categories).forEach(([type, n]) => {
+                site.byCategory[type] = (site.byCategory[type] || 0) + n;
+            });
+        });
+
+        return Object.values(sites)
+            .filter(site => site.total > 0)
+            .map(site => ({
+                ...site,
+                average: site.total / site.visits,
+                topCategory: Object.entries(site.byCategory).sort((a, b) => b[1] - a[1])[0]?.[0] || ''
+            }))
+            .sort((a, b) => b.average - a.average || b.total - a.total);
+    }
+
+    function renderTotals(list) {
+        document.getElementById('totalVisits').textContent = list.length;
+        document.getElementById('totalSites').textContent = rankSites(list).length;
+        document.getElementById('totalFindings').textContent = list.reduce((sum, visit) => sum + countOf(visit), 0);
+    }
+
+    function renderRanking(list) {
+        const tbody = document.getElementById('ranking');
+        const sites = rankSites(list).slice(0, MAX_RANKED_SITES);
+        tbody.innerHTML = '';
+
+        sites.forEach(site => {
+            const row = document.createElement('tr');
+            row.classList.toggle('selected', site.domain === domainFilter.value.trim());
+            [site.domain, site.visits, site.average.toFixed(1), site.total, site.topCategory, formatDate(site.lastVisit)].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            // Pick the site for the trend chart
+            row.addEventListener('click', () => {
+                domainFilter.value = site.domain;
+                render();
+            });
+            tbody.appendChild(row);
+        });
+
+        document.getElementById('rankingEmpty').style.display = sites.length ? 'none' : 'block';
+    }
+
+    /**
+     * Stacked bars, one per visit, so new or removed categories stand out between visits
+     */
+    function createTrendChart(siteVisits) {
+        const ns = 'http://www.w3.org/2000/svg';
+        const width = 900;
+        const height = 180;
+        const barGap = 4;
+        const barWidth = Math.min(40, (width - barGap * siteVisits.length) / siteVisits.length);
+        const max = Math.max(1, ...siteVisits.map(countOf));
+        const category = categoryFilter.value;
+
+        const svg = document.createElementNS(ns, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height + 20}`);
+        svg.setAttribute('width', '100%');
+
+        siteVisits.forEach((visit, index) => {
+            const x = index * (barWidth + barGap);
+            let y = height;
+            Object.entries(visit.categories)
+                .filter(([type]) => !category || type === category)
+                .forEach(([type, n]) => {
+                    const barHeight = (n / max) * (height - 10);
+                    y -= barHeight;
+                    const rect = document.createElementNS(ns, 'rect');
+                    rect.setAttribute('x', x);
+                    rect.setAttribute('y', y);
+                    rect.setAttribute('width', barWidth);
+                    rect.setAttribute('height', barHeight);
+                    rect.setAttribute('fill', colorOf(type));
+                    const title = document.createElementNS(ns, 'title');
+                    title.textContent = `${formatDate(visit.date)} - ${type}: ${n}\n${visit.url}`;
+                    rect.appendChild(title);
+                    svg.appendChild(rect);
+                });
+
+            const label = document.createElementNS(ns, 'text');
+            label.setAttribute('x', x + barWidth / 2);
+            label.setAttribute('y', height + 14);
+            label.setAttribute('text-anchor', 'middle');
+            label.setAttribute('font-size', '10');
+            label.setAttribute('fill', '#888');
+            label.textContent = countOf(visit);
+            svg.appendChild(label);
+        });
+
+        return svg;
+    }
+
+    // What changed between the last two visits
+    function describeChanges(previous, latest) {
+        const types = new Set(Object.keys(previous.categories).concat(Object.keys(latest.categories)));
+        const changes = [];
+        types.forEach(type => {
+            const before = previous.categories[type] || 0;
+            const after = latest.categories[type] || 0;
+            if (!before) changes.push(`New: ${type} (${after})`);
+            else if (!after) changes.push(`Gone: ${type}`);
+            else if (before !== after) changes.push(`${type}: ${before} → ${after}`);
+        });
+        return changes.length ? changes : ["No change since the previous visit"];
+    }
+
+    function renderTrend(list) {
+        const trend = document.getElementById('trend');
+        const domains = new Set(list.map(visit => visit.domain));
+        trend.innerHTML = '';
+
+        if (domains.size !== 1) {
+            document.getElementById('trendTitle').textContent = "Trend";
+            trend.innerHTML = '<div class="empty">Pick a site in the ranking (or filter by domain) to see how its patterns changed between visits.</div>';
+            return;
+        }
+
+        const [domain] = domains;
+        const siteVisits = list.slice(-MAX_TREND_VISITS);
+        document.getElementById('trendTitle').textContent = `Trend: ${domain} (${siteVisits.length} visits)`;
+        trend.appendChild(createTrendChart(siteVisits));
+
+        const legend = document.createElement('div');
+        legend.className = 'legend';
+        new Set(siteVisits.flatMap(visit => Object.keys(visit.categories))).forEach(type => {
+            const item = document.createElement('span');
+            item.style.setProperty('--color', colorOf(type));
+            item.textContent = type;
+            legend.appendChild(item);
+        });
+        trend.appendChild(legend);
+
+        if (siteVisits.length > 1) {
+            const ul = document.createElement('ul');
+            ul.className = 'changes';
+            describeChanges(siteVisits[siteVisits.length - 2], siteVisits[siteVisits.length - 1]).forEach(change => {
+                const li = document.createElement('li');
+                li.textContent = change;
+                ul.appendChild(li);
+            });
+            trend.appendChild(ul);
+        }
+    }
+
+    function renderFindings(list) {
+        const container = document.getElementById('findings');
+        const category = categoryFilter.value;
+        const findings = list.slice().reverse()
+            .flatMap(visit => Object.entries(visit.examples)
+                .filter(([type]) => !category || type === category)
+                .flatMap(([type, texts]) => texts.map(text => ({ type, text, visit }))))
+            .slice(0, MAX_RECENT_FINDINGS);
+        container.innerHTML = '';
+
+        findings.forEach(({ type, text, visit }) => {
+            const div = document.createElement('div');
+            div.className = 'finding';
+
+            const typeSpan = document.createElement('span');
+            typeSpan.className = 'finding-type';
+            typeSpan.textContent = `${type}: `;
+            div.append(typeSpan, text);
+
+            const meta = document.createElement('div');
+            meta.className = 'finding-meta';
+            meta.textContent = `${visit.domain} · ${formatDate(visit.date)} · ${visit.title || visit.url}`;
+            div.appendChild(meta);
+            container.appendChild(div);
+        });
+
+        if (!findings.length) container.innerHTML = '<div class="empty">Nothing matches these filters.</div>';
+    }
+
+    function render() {
+        const list = filteredVisits();
+        renderTotals(list);
+        renderRanking(list);
+        renderTrend(list);
+        renderFindings(list);
+    }
+
+    // Fill the filter choices from what has been recorded
+    function populateFilters() {
+        categories = Array.from(new Set(visits.flatMap(visit => Object.keys(visit.categories)))).sort();
+        const selected = categoryFilter.value;
+        categoryFilter.length = 1;
+        categories.forEach(type => categoryFilter.add(new Option(type, type)));
+        categoryFilter.value = categories.includes(selected) ? selected : '';
+
+        const domainList = document.getElementById('domainList');
+        domainList.innerHTML = '';
+        new Set(visits.map(visit => visit.domain)).forEach(domain => domainList.appendChild(new Option(domain)));
+    }
+
+    async function load() {
+        try {
+            await pruneHistory(await getRetentionDays());
+            visits = await getHistoryVisits();
+        } catch (e) {
+            console.error("[Dashboard] Could not read history:", e);
+            visits = [];
+        }
+        populateFilters();
+        render();
+    }
+
+    categoryFilter.addEventListener('change', render);
+    domainFilter.addEventListener('input', render);
+
+    retentionSelect.value = String(await getRetentionDays());
+    retentionSelect.addEventListener('change', async () => {
+        await chrome.storage.local.set({ historyRetentionDays: Number(retentionSelect.value) });
+        await load();
+    });
+
+    document.getElementById('wipeBtn').addEventListener('click', async () => {
+        if (!confirm("Delete every recorded visit? This cannot be undone.")) return;
+        await clearHistory();
+        await load();
+    });
+
+    await load();
+});
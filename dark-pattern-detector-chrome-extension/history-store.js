@@ -0,0 +1,115 @@
+/**
+ * DarkPatternDetector - History Store
+ *
+ * IndexedDB store of past findings, one record per page visit that had any. Shared by the
+ * background worker (writes, via importScripts) and the dashboard page (reads),
+ * which both run on the extension's origin and so see the same database.
+ *
+ * Visit shape:
+ *   { id, domain, url, title, date, count, categories: { [type]: n }, examples: { [type]: [text] } }
+ */
+
+const HISTORY_DB_NAME = 'DarkPatternHistory';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'visits';
+const DEFAULT_RETENTION_DAYS = 90; // historyRetentionDays in chrome.storage.local, 0 = do not record
+const MAX_HISTORY_EXAMPLES = 3; // Example texts kept per category and visit
+const MAX_HISTORY_TEXT = 160;
+
+let historyDbPromise = null;
+
+function openHistoryDb() {
+    if (!historyDbPromise) {
+        historyDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+                store.createIndex('domain', 'domain');
+                store.createIndex('date', 'date');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        historyDbPromise.catch(() => { historyDbPromise = null; }); // Allow a retry
+    }
+    return historyDbPromise;
+}
+
+/**
+ * Run one request in its own transaction and resolve with its result
+ */
+async function historyRequest(mode, makeRequest) {
+    const db = await openHistoryDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(HISTORY_STORE, mode);
+        const request = makeRequest(transaction.objectStore(HISTORY_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Turn a page's findings into a visit record (counts and a few example texts per category)
+ */
+function createHistoryVisit({ id, url, title, date, results }) {
+    const categories = {};
+    const examples = {};
+    results.forEach(result => {
+        categories[result.type] = (categories[result.type] || 0) + 1;
+        examples[result.type] = examples[result.type] || [];
+        const text = String(result.fullText || result.text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_HISTORY_TEXT);
+        if (text && examples[result.type].length < MAX_HISTORY_EXAMPLES && !examples[result.type].includes(text)) {
+            examples[result.type].push(text);
+        }
+    });
+
+    // Only origin and path: query strings can carry personal data
+    const { hostname, origin, pathname } = new URL(url);
+    return { id, domain: hostname, url: origin + pathname, title: title || '', date, count: results.length, categories, examples };
+}
+
+function putHistoryVisit(visit) {
+    return historyRequest('readwrite', store => store.put(visit));
+}
+
+function deleteHistoryVisit(id) {
+    return historyRequest('readwrite', store => store.delete(id));
+}
+
+/**
+ * All visits, oldest first, optionally only those of one domain
+ */
+async function getHistoryVisits(domain = null) {
+    const visits = await historyRequest('readonly', store =>
+        domain ? store.index('domain').getAll(domain) : store.getAll()
+    );
+    return visits.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Delete visits older than the retention period
+ */
+function pruneHistory(retentionDays) {
+    if (!(retentionDays > 0)) return Promise.resolve();
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    return historyRequest('readwrite', store => {
+        const request = store.index('date').openCursor(IDBKeyRange.upperBound(cutoff, true));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+        return request;
+    });
+}
+
+function clearHistory() {
+    return historyRequest('readwrite', store => store.clear());
+}
+
+async function getRetentionDays() {
+    const { historyRetentionDays } = await chrome.storage.local.get(['historyRetentionDays']);
+    return historyRetentionDays ?? DEFAULT_RETENTION_DAYS;
+}
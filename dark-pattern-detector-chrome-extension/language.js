@@ -0,0 +1,44 @@
+/**
+ * DarkPatternDetector - Language Detection
+ *
+ * Shared by the content script (which pattern packs in patterns/ to load) and the
+ * sandbox (which example phrases to compare a text with). Cheap heuristics only:
+ * script ranges for Japanese and Hindi, stopwords and diacritics for Latin scripts.
+ */
+
+// Languages with a patterns/<lang>.txt pack and sandbox examples. English is patterns.txt.
+const PATTERN_PACK_LANGUAGES = ['de', 'fr', 'es', 'hi', 'ja'];
+
+const SCRIPT_LANGUAGES = [
+    { lang: 'ja', pattern: /[\u3040-\u30ff]/ }, // Hiragana / Katakana (Han alone could be Chinese)
+    { lang: 'hi', pattern: /[\u0900-\u097f]/ } // Devanagari
+];
+
+const LANGUAGE_STOPWORDS = {
+    en: ['the', 'and', 'is', 'are', 'you', 'your', 'for', 'with', 'to', 'of', 'this', 'now', 'only', 'left', 'in', 'stock'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'nur', 'noch', 'mit', 'für', 'auf', 'jetzt', 'sie', 'ihr', 'ein', 'eine', 'zu', 'lager'],
+    fr: ['le', 'la', 'les', 'et', 'est', 'pour', 'vous', 'votre', 'avec', 'des', 'une', 'pas', 'plus', 'que', 'du', 'sur', 'il', 'reste'],
+    es: ['el', 'los', 'las', 'y', 'es', 'para', 'con', 'por', 'una', 'más', 'ahora', 'del', 'tu', 'su', 'solo', 'quedan', 'gracias']
+};
+
+// A letter only one of the languages uses is a strong hint on short texts
+const LANGUAGE_LETTERS = { de: /[äöüß]/i, fr: /[çœèêëàâîôù]/i, es: /[ñ¿¡áíóú]/i };
+
+/**
+ * Best guess of the language of a text as a two-letter code, or null if there is no signal
+ */
+function detectLanguage(text) {
+    const sample = String(text || '').slice(0, 5000);
+    const script = SCRIPT_LANGUAGES.find(({ pattern }) => pattern.test(sample));
+    if (script) return script.lang;
+
+    const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+    const scores = {};
+    Object.entries(LANGUAGE_STOPWORDS).forEach(([lang, stopwords]) => {
+        const set = new Set(stopwords);
+        scores[lang] = words.filter(word => set.has(word)).length + (LANGUAGE_LETTERS[lang]?.test(sample) ? 2 : 0);
+    });
+
+    const [best, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    return score > 0 ? best : null;
+}
@@ -5,39 +5,82 @@
  * Sends messages to the background script, which routes them to the sandbox.
  */
 
-async function predictDarkPattern(text) {
+/**
+ * Send one protocol request (protocol.js) to background.js. Always resolves: with the
+ * reply, or with { error, code } if the request failed or the reply is malformed.
+ */
+async function sendRequest(action, payload = {}) {
     try {
-        const response = await chrome.runtime.sendMessage({
-            action: "predict",
-            text: text
-        });
+        const response = await chrome.runtime.sendMessage(createMessage(action, payload));
+        return validateResponse(action, response) || response;
+    } catch (e) {
+        return protocolError(PROTOCOL_ERRORS.SANDBOX_UNAVAILABLE, e.message);
+    }
+}
 
-        if (response?.error) {
-            console.warn("[Client] Prediction error:", response.error);
-            return { error: response.error, fallback: true };
-        }
+async function predictDarkPattern(text) {
+    const response = await sendRequest("predict", { text });
+    if (isProtocolError(response)) {
+        console.warn(`[Client] Prediction error (${response.code}):`, response.error);
+        return { ...response, fallback: true };
+    }
+    return response.result;
+}
 
-        return response.result || response;
-    } catch (e) {
-        console.warn("[Client] Message failed:", e);
-        return { error: e.message, fallback: true };
+/**
+ * One result per text, in order. Every entry is { error, code, fallback } if the batch failed.
+ */
+async function predictDarkPatterns(texts) {
+    const response = await sendRequest("predictBatch", { texts });
+    if (isProtocolError(response)) {
+        console.warn(`[Client] Batch prediction error (${response.code}):`, response.error);
+        return texts.map(() => ({ ...response, fallback: true }));
     }
+    return response.results;
 }
 
 async function getModelStatus() {
-    try {
-        return await chrome.runtime.sendMessage({ action: "getModelStatus" });
-    } catch (e) {
-        return { ready: false };
+    const status = await sendRequest("getModelStatus");
+    return isProtocolError(status) ? { state: "failed", ready: false, ...status } : status;
+}
+
+// While the sandbox is loading, poll its lifecycle until it is ready or has failed
+const MODEL_POLL_MS = 2000;
+const LOADING_STATES = ["not_started", "downloading", "embedding"];
+const readyListeners = [];
+
+async function trackModelStatus() {
+    const status = await getModelStatus();
+    const wasReady = window.SafeWebAI.isReady;
+    window.SafeWebAI.isReady = !!status.ready;
+    window.SafeWebAI.status = status;
+
+    if (status.ready && !wasReady) {
+        console.log("[Client] AI model ready");
+        readyListeners.forEach(listener => listener(status));
+    } else if (!status.ready && LOADING_STATES.includes(status.state)) {
+        setTimeout(trackModelStatus, MODEL_POLL_MS);
+    } else if (status.state === "failed") {
+        console.warn("[Client] AI model unavailable, using regex only:", status.error);
     }
 }
 
+// Called once the model becomes ready (AI verification starts working)
+function onReady(listener) {
+    readyListeners.push(listener);
+}
+
 // Expose to content script
 window.SafeWebAI = {
-    isReady: true, // Assuming background handles readiness
+    isReady: false, // Set from the sandbox's real lifecycle by trackModelStatus
+    status: null,
     modelName: "UniversalSentenceEncoder_v1_Sandbox",
     predictDarkPattern,
-    getModelStatus
+    predictDarkPatterns,
+    getModelStatus,
+    onReady
 };
 
+trackModelStatus();
+
 console.log("[Client] AI Stub ready");
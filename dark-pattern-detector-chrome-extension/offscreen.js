@@ -1,78 +1,88 @@
 /**
  * DarkPatternDetector - Offscreen Script
- * 
+ *
  * Bridges communication between the background script and the sandboxed iframe.
+ * Requests and replies are checked against protocol.js in both directions.
  */
 
 const iframe = document.getElementById('sandboxFrame');
-const pendingRequests = new Map();
+const pendingRequests = new Map(); // id -> { resolve, action, requestId }
 let requestIdCounter = 0;
 
+const SANDBOX_TIMEOUT_MS = 30000;
+const BACKGROUND_URL = chrome.runtime.getURL('background.js');
+
 // Listen for messages from the Sandbox (iframe)
 window.addEventListener('message', (event) => {
-    // Basic check: ensure it matches our protocol
-    if (!event.data || !event.data.id) return;
+    // Only our own sandbox frame
+    if (event.source !== iframe.contentWindow || !event.data) return;
 
-    const { id, result, success, pong } = event.data;
+    // Model lifecycle changes are pushed by the sandbox without a request
+    if (event.data.event === 'modelState') {
+        const message = createMessage('modelStateChanged', { status: event.data.status });
+        if (validateRequest(message)) return;
+        chrome.runtime.sendMessage(message)
+            .catch(() => { /* Background asleep: it asks again with getModelStatus */ });
+        return;
+    }
 
-    if (pendingRequests.has(id)) {
-        const resolve = pendingRequests.get(id);
-        if (result) resolve(result);
-        else if (success !== undefined) resolve({ success });
-        else if (pong) resolve({ pong: true });
-        else resolve({ error: "Unknown response" });
+    const { id, response } = event.data;
+    const pending = pendingRequests.get(id);
+    if (!pending) return;
 
-        pendingRequests.delete(id);
-    }
+    pendingRequests.delete(id);
+    pending.resolve(validateResponse(pending.action, response) || response);
 });
 
-// Helper to send message to iframe and wait for response
-function sendToSandbox(action, data = {}) {
-    return new Promise((resolve, reject) => {
+// Helper to send a request to the iframe and wait for its reply
+function sendToSandbox(request) {
+    return new Promise((resolve) => {
+        if (!iframe.contentWindow) {
+            resolve(protocolError(PROTOCOL_ERRORS.SANDBOX_UNAVAILABLE, "Sandbox iframe not found"));
+            return;
+        }
+
         const id = ++requestIdCounter;
-        pendingRequests.set(id, resolve);
+        pendingRequests.set(id, { resolve, action: request.action, requestId: request.requestId });
 
-        // Timeout after 30 seconds
         setTimeout(() => {
             if (pendingRequests.has(id)) {
                 pendingRequests.delete(id);
-                resolve({ error: "Sandbox timeout" });
+                resolve(protocolError(PROTOCOL_ERRORS.TIMEOUT, "Sandbox timeout"));
             }
-        }, 30000);
+        }, SANDBOX_TIMEOUT_MS);
 
-        if (!iframe.contentWindow) {
-            resolve({ error: "Sandbox iframe not found" });
-            return;
-        }
+        iframe.contentWindow.postMessage({ ...request, id }, '*'); // Target origin '*' because sandbox is null
+    });
+}
 
-        iframe.contentWindow.postMessage({
-            action,
-            id,
-            ...data
-        }, '*'); // Target origin '*' because sandbox is null
+// Answer cancelled predictions right away; the sandbox skips them if still queued
+function cancelPending(requestIds) {
+    pendingRequests.forEach((pending, id) => {
+        if (pending.requestId && requestIds.includes(pending.requestId)) {
+            pendingRequests.delete(id);
+            pending.resolve(protocolError(PROTOCOL_ERRORS.CANCELLED, "Prediction cancelled"));
+        }
     });
 }
 
-// Listen for messages from Background
+// Listen for messages from Background. Runtime messages also reach this page from the
+// popup and as broadcasts meant for it (e.g. pageResultsUpdated): those are not ours.
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    // Handle specific actions
-    if (request.action === 'predict') {
-        sendToSandbox('predict', { text: request.text })
-            .then(response => sendResponse(response));
-        return true; // Async response
+    if (sender.url !== BACKGROUND_URL || !REQUEST_SCHEMAS[request?.action] || request.action === 'modelStateChanged') {
+        return false;
     }
 
-    if (request.action === 'initModel') {
-        sendToSandbox('init')
-            .then(response => sendResponse(response));
-        return true; // Async response
+    const invalid = validateRequest(request);
+    if (invalid) {
+        sendResponse(invalid);
+        return false;
     }
 
-    if (request.action === 'ping') {
-        sendToSandbox('ping')
-            .then(response => sendResponse(response));
-        return true;
-    }
+    if (request.action === 'cancel') cancelPending(request.requestIds);
+
+    sendToSandbox(request).then(response => sendResponse(response));
+    return true; // Async response
 });
 
 console.log("[Offscreen] Bridge initialized");
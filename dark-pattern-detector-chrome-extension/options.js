@@ -0,0 +1,316 @@
+/**
+ * DarkPatternDetector - Options Script
+ *
+ * Editor for the pattern rules. Saved rules go to chrome.storage.local (patternRules)
+ * and content scripts reload them live; without saved rules the bundled patterns.txt is used.
+ * The per-region scan policies (regions.js) are edited here too and saved as regionPolicies.
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const categoriesDiv = document.getElementById('categories');
+    const statusDiv = document.getElementById('status');
+    const importFile = document.getElementById('importFile');
+
+    let rules = [];
+
+    function showStatus(message, isError) {
+        statusDiv.textContent = message;
+        statusDiv.className = isError ? "status warning" : "status ok";
+    }
+
+    async function loadDefaultRules() {
+        const response = await fetch(chrome.runtime.getURL('patterns.txt'));
+        return parsePatternRules(await response.text()).rules;
+    }
+
+    async function loadRules() {
+        const { patternRules } = await chrome.storage.local.get(['patternRules']);
+        return patternRules || loadDefaultRules();
+    }
+
+    function createKeywordRow(rule, keyword) {
+        const wrapper = document.createElement('div');
+
+        const row = document.createElement('div');
+        row.className = 'keyword-row';
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = keyword.enabled;
+        toggle.title = "Enabled";
+        toggle.addEventListener('change', () => { keyword.enabled = toggle.checked; });
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = keyword.text;
+
+        // Strict keywords are findings on their own without the AI, broad ones only candidates
+        const list = document.createElement('select');
+        list.title = "Strict: enough for a finding without the AI. Broad: only checked by the AI";
+        list.add(new Option("Strict", "strict"));
+        list.add(new Option("Broad", "broad"));
+        list.value = keyword.strict === false ? "broad" : "strict";
+
+        const weight = document.createElement('input');
+        weight.type = 'number';
+        weight.className = 'keyword-weight';
+        weight.min = '0';
+        weight.step = '0.25';
+        weight.value = typeof keyword.weight === 'number' ? keyword.weight : '';
+        weight.title = "Weight toward a regex finding (a text is flagged at 1)";
+
+        const unless = document.createElement('input');
+        unless.type = 'text';
+        unless.className = 'keyword-unless';
+        unless.value = keyword.unless || '';
+        unless.placeholder = "unless near…";
+        unless.title = "Ignore the keyword when this pattern is within 30 characters";
+
+        const error = document.createElement('div');
+        error.className = 'keyword-error';
+
+        // Show regex errors as the user types
+        const validate = () => {
+            weight.placeholder = String(keywordWeight({ strict: keyword.strict }));
+            const message = validateKeyword(input.value) || (input.value.trim() ? null : "Keyword is empty") ||
+                (unless.value.trim() && validateKeyword(unless.value) ? `Unless: ${validateKeyword(unless.value)}` : null);
+            row.classList.toggle('invalid', !!message);
+            error.textContent = message || '';
+        };
+        input.addEventListener('input', () => {
+            keyword.text = input.value.trim();
+            validate();
+        });
+        list.addEventListener('change', () => {
+            keyword.strict = list.value === "strict";
+            validate();
+        });
+        weight.addEventListener('input', () => {
+            if (weight.value === '') delete keyword.weight;
+            else keyword.weight = Math.max(0, Number(weight.value));
+        });
+        unless.addEventListener('input', () => {
+            keyword.unless = unless.value.trim();
+            if (!keyword.unless) delete keyword.unless;
+            validate();
+        });
+        validate();
+
+        const remove = document.createElement('button');
+        remove.className = 'danger';
+        remove.textContent = '✕';
+        remove.title = "Remove keyword";
+        remove.addEventListener('click', () => {
+            rule.keywords.splice(rule.keywords.indexOf(keyword), 1);
+            render();
+        });
+
+        row.append(toggle, input, list, weight, unless, remove);
+        wrapper.append(row, error);
+        return wrapper;
+    }
+
+    function createCategory(rule) {
+        const details = document.createElement('details');
+        details.className = rule.enabled ? 'category' : 'category disabled';
+        details.open = !!rule.open;
+        details.addEventListener('toggle', () => { rule.open = details.open; });
+
+        const summary = document.createElement('summary');
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = rule.enabled;
+        toggle.title = "Category enabled";
+        toggle.addEventListener('click', (event) => event.stopPropagation());
+        toggle.addEventListener('change', () => {
+            rule.enabled = toggle.checked;
+            details.classList.toggle('disabled', !rule.enabled);
+        });
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.value = rule.name;
+        name.addEventListener('click', (event) => event.preventDefault());
+        name.addEventListener('keydown', (event) => event.stopPropagation());
+        name.addEventListener('input', () => { rule.name = name.value.trim(); });
+
+        const caseLabel = document.createElement('label');
+        caseLabel.className = 'case-toggle';
+        const caseToggle = document.createElement('input');
+        caseToggle.type = 'checkbox';
+        caseToggle.checked = !!rule.caseSensitive;
+        caseToggle.addEventListener('change', () => { rule.caseSensitive = caseToggle.checked; });
+        caseLabel.addEventListener('click', (event) => event.stopPropagation());
+        caseLabel.append(caseToggle, "Case sensitive");
+
+        const count = document.createElement('span');
+        count.className = 'keyword-count';
+        count.textContent = `${rule.keywords.length} keywords`;
+
+        const remove = document.createElement('button');
+        remove.className = 'danger';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', (event) => {
+            event.preventDefault();
+            if (confirm(`Delete the "${rule.name}" category?`)) {
+                rules.splice(rules.indexOf(rule), 1);
+                render();
+            }
+        });
+
+        summary.append(toggle, name, caseLabel, count, remove);
+        details.appendChild(summary);
+
+        const keywordsDiv = document.createElement('div');
+        keywordsDiv.className = 'keywords';
+        rule.keywords.forEach(keyword => keywordsDiv.appendChild(createKeywordRow(rule, keyword)));
+
+        // Add keyword(s): accepts a comma-separated list like a patterns.txt line, options included
+        const addRow = document.createElement('div');
+        addRow.className = 'add-row';
+        const addInput = document.createElement('input');
+        addInput.type = 'text';
+        addInput.placeholder = "New keyword(s), comma separated, e.g. limited {unless: liability}";
+        const addBtn = document.createElement('button');
+        addBtn.className = 'secondary';
+        addBtn.textContent = 'Add';
+        const addKeywords = () => {
+            const parsed = splitKeywordLine(addInput.value).map(fragment => parseKeyword(fragment));
+            const failed = parsed.find(({ error }) => error);
+            if (failed) {
+                showStatus(failed.error, true);
+                return;
+            }
+            parsed.forEach(({ keyword }) => rule.keywords.push(keyword));
+            rule.open = true;
+            render();
+        };
+        addBtn.addEventListener('click', addKeywords);
+        addInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') addKeywords();
+        });
+        addRow.append(addInput, addBtn);
+        keywordsDiv.appendChild(addRow);
+
+        details.appendChild(keywordsDiv);
+        return details;
+    }
+
+    function render() {
+        categoriesDiv.innerHTML = '';
+        rules.forEach(rule => categoriesDiv.appendChild(createCategory(rule)));
+    }
+
+    // Collect every problem that would stop the rules from compiling
+    function findErrors() {
+        const errors = [];
+        rules.forEach(rule => {
+            if (!rule.name) errors.push("A category has no name");
+            rule.keywords.forEach(keyword => {
+                const error = validateKeyword(keyword.text);
+                if (error) errors.push(`[${rule.name}] "${keyword.text}": ${error}`);
+                else if (!keyword.text) errors.push(`[${rule.name}] has an empty keyword`);
+                if (keyword.unless && validateKeyword(keyword.unless)) {
+                    errors.push(`[${rule.name}] "${keyword.text}" unless: ${validateKeyword(keyword.unless)}`);
+                }
+            });
+        });
+        return errors;
+    }
+
+    // Strip UI-only state before storing
+    function toStoredRules() {
+        return rules.map(rule => ({
+            name: rule.name,
+            enabled: rule.enabled,
+            caseSensitive: !!rule.caseSensitive,
+            keywords: rule.keywords.map(k => {
+                const keyword = { text: k.text, enabled: k.enabled, strict: k.strict !== false };
+                if (typeof k.weight === 'number') keyword.weight = k.weight;
+                if (k.unless) keyword.unless = k.unless;
+                return keyword;
+            })
+        }));
+    }
+
+    document.getElementById('saveBtn').addEventListener('click', async () => {
+        const errors = findErrors();
+        if (errors.length) {
+            showStatus(`Not saved. Fix these first:\n${errors.join('\n')}`, true);
+            return;
+        }
+        await chrome.storage.local.set({ patternRules: toStoredRules() });
+        showStatus("Saved. Open tabs will rescan with the new rules.");
+    });
+
+    document.getElementById('addCategoryBtn').addEventListener('click', () => {
+        rules.push({ name: "New Category", enabled: true, caseSensitive: false, keywords: [], open: true });
+        render();
+        categoriesDiv.lastElementChild.scrollIntoView({ behavior: 'smooth' });
+    });
+
+    document.getElementById('exportBtn').addEventListener('click', () => {
+        const blob = new Blob([serializePatternRules(toStoredRules())], { type: 'text/plain' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'patterns.txt';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+
+    document.getElementById('importBtn').addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', async () => {
+        const file = importFile.files[0];
+        if (!file) return;
+
+        const { rules: imported, errors } = parsePatternRules(await file.text());
+        importFile.value = '';
+
+        if (errors.length) {
+            showStatus(`Import failed:\n${errors.map(e => `Line ${e.line}: ${e.message}`).join('\n')}`, true);
+            return;
+        }
+        rules = imported;
+        render();
+        showStatus(`Imported ${rules.length} categories from ${file.name}. Click Save to apply.`);
+    });
+
+    document.getElementById('resetBtn').addEventListener('click', async () => {
+        if (!confirm("Discard your edits and go back to the bundled patterns.txt?")) return;
+        await chrome.storage.local.remove('patternRules');
+        rules = await loadDefaultRules();
+        render();
+        showStatus("Reset to the bundled patterns.txt.");
+    });
+
+    // One policy select per page region, saved as soon as it changes
+    async function renderRegions() {
+        const { regionPolicies } = await chrome.storage.local.get(['regionPolicies']);
+        const policies = getRegionPolicies(regionPolicies);
+        const labels = { scan: "Scan", lower: "Lower severity", skip: "Skip" };
+        const regionsDiv = document.getElementById('regions');
+        regionsDiv.innerHTML = '';
+
+        PAGE_REGIONS.forEach(region => {
+            const row = document.createElement('label');
+            row.className = 'region-row';
+
+            const select = document.createElement('select');
+            REGION_POLICY_VALUES.forEach(value => select.add(new Option(labels[value], value)));
+            select.value = policies[region.id];
+            select.addEventListener('change', async () => {
+                policies[region.id] = select.value;
+                await chrome.storage.local.set({ regionPolicies: policies });
+                showStatus(`${region.label}: ${labels[select.value].toLowerCase()}. Open tabs will rescan.`);
+            });
+
+            row.append(region.label, select);
+            regionsDiv.appendChild(row);
+        });
+    }
+
+    rules = await loadRules();
+    render();
+    await renderRegions();
+});
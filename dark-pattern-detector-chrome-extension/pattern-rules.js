@@ -0,0 +1,273 @@
+/**
+ * DarkPatternDetector - Pattern Rules
+ *
+ * Shared by the content script and the options page.
+ * Reads and writes the patterns.txt format and validates keyword regex fragments.
+ *
+ * Rule shape (also what the options page stores in chrome.storage as patternRules):
+ *   [{ name, enabled, caseSensitive, keywords: [{ text, enabled, strict, weight, unless }] }]
+ *
+ * Strict keywords are enough on their own for the regex fallback to flag a text; broad
+ * keywords only make it a candidate for the AI (see keywordWeight). Keywords saved
+ * before strict existed are strict. weight and unless are optional.
+ *
+ * Locale packs (patterns/<lang>.txt) use the same format and are merged in with
+ * mergePatternRules.
+ */
+
+// Regex fallback threshold: the weights of the keywords found in a text must add up to this
+const STRICT_MATCH_WEIGHT = 1;
+
+// Characters on either side of a match searched for a keyword's "unless" phrases
+const NEGATIVE_CONTEXT_CHARS = 30;
+
+// Options that may follow a keyword in braces, e.g. limited {unless: liability, weight: 0.5}
+const KEYWORD_OPTIONS = ['unless', 'weight'];
+
+/**
+ * Split a keyword line on commas, ignoring commas inside {...}, (...) and [...]
+ * so fragments like "no thanks.{0,10}hate" stay intact
+ */
+function splitKeywordLine(line) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '\\') {
+            current += ch + (line[i + 1] || '');
+            i++;
+            continue;
+        }
+        if ('{(['.includes(ch)) depth++;
+        if ('})]'.includes(ch)) depth = Math.max(0, depth - 1);
+
+        if (ch === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    parts.push(current);
+
+    return parts.map(p => p.trim()).filter(p => p.length > 0);
+}
+
+/**
+ * Returns null if the fragment is a usable regex, otherwise the error message.
+ * Patterns are compiled in Unicode mode (see content.js createPatternObject).
+ */
+function validateKeyword(keyword) {
+    try {
+        new RegExp(keyword, 'u');
+        return null;
+    } catch (e) {
+        return e.message;
+    }
+}
+
+/**
+ * Split a trailing "{option: value, ...}" block off a keyword. Regex quantifiers such
+ * as {0,10} never start with a name and a colon, so they are left alone.
+ */
+function splitKeywordOptions(fragment) {
+    if (!fragment.endsWith('}')) return { text: fragment, options: null };
+
+    let depth = 0;
+    for (let i = fragment.length - 1; i >= 0; i--) {
+        if (fragment[i] === '}' && fragment[i - 1] !== '\\') depth++;
+        if (fragment[i] === '{' && fragment[i - 1] !== '\\' && --depth === 0) {
+            const inner = fragment.slice(i + 1, -1);
+            if (!/^\s*[a-z]+\s*:/i.test(inner)) break;
+            return { text: fragment.slice(0, i).trim(), options: splitKeywordLine(inner) };
+        }
+    }
+    return { text: fragment, options: null };
+}
+
+/**
+ * One keyword fragment of a patterns.txt line as a keyword object, or an error message
+ */
+function parseKeyword(fragment, strict = true) {
+    const { text, options } = splitKeywordOptions(fragment);
+    const keyword = { text, enabled: true, strict };
+
+    const textError = text ? validateKeyword(text) : "Keyword is empty";
+    if (textError) return { error: `Invalid pattern "${text}": ${textError}` };
+
+    for (const option of options || []) {
+        const [, name, value] = option.match(/^([a-z]+)\s*:\s*(.*)$/i) || [];
+        if (!KEYWORD_OPTIONS.includes(name)) {
+            return { error: `Unknown option "${option}" on "${text}" (expected ${KEYWORD_OPTIONS.join(' or ')})` };
+        }
+        if (name === 'weight') {
+            const weight = Number(value);
+            if (!value || !Number.isFinite(weight) || weight < 0) {
+                return { error: `Weight of "${text}" must be a number of 0 or more, got "${value}"` };
+            }
+            keyword.weight = weight;
+        } else {
+            const unlessError = value ? validateKeyword(value) : "Phrase is empty";
+            if (unlessError) return { error: `Invalid "unless" pattern on "${text}": ${unlessError}` };
+            keyword.unless = value;
+        }
+    }
+
+    return { keyword };
+}
+
+/**
+ * Weight a keyword adds when found: its own weight, otherwise 1 if strict and 0 if broad
+ */
+function keywordWeight(keyword) {
+    if (typeof keyword.weight === 'number') return keyword.weight;
+    return keyword.strict === false ? 0 : 1;
+}
+
+/**
+ * Parse patterns.txt text into rules. Problems are collected with their line
+ * numbers instead of throwing, so one bad fragment does not drop the file.
+ *
+ * Inside a [Category], "strict:" and "broad:" start keyword lists, "case: sensitive"
+ * turns off case folding for the category, and plain lines are strict keywords.
+ */
+function parsePatternRules(text) {
+    const rules = [];
+    const errors = [];
+    let current = null;
+
+    text.split('\n').forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const lineNumber = index + 1;
+        if (!line || line.startsWith('#')) return; // Skip comments/empty
+
+        // Check for [Category Name]
+        const categoryMatch = line.match(/^\[(.*)\]$/);
+        if (categoryMatch) {
+            const name = categoryMatch[1].trim();
+            if (!name) {
+                errors.push({ line: lineNumber, message: "Empty category name" });
+                current = null;
+                return;
+            }
+            current = { name, enabled: true, caseSensitive: false, keywords: [] };
+            rules.push(current);
+            return;
+        }
+
+        if (!current) {
+            errors.push({ line: lineNumber, message: "Keywords found before any [Category] header" });
+            return;
+        }
+
+        const directive = line.match(/^(strict|broad|case)\s*:\s*(.*)$/i);
+        const kind = directive?.[1].toLowerCase();
+
+        if (kind === 'case') {
+            const value = directive[2].trim().toLowerCase();
+            if (value !== 'sensitive' && value !== 'insensitive') {
+                errors.push({ line: lineNumber, message: `"case:" must be "sensitive" or "insensitive", got "${directive[2]}"` });
+                return;
+            }
+            current.caseSensitive = value === 'sensitive';
+            return;
+        }
+
+        const fragments = splitKeywordLine(directive ? directive[2] : line);
+        if (directive && !fragments.length) {
+            errors.push({ line: lineNumber, message: `"${kind}:" has no keywords` });
+            return;
+        }
+
+        fragments.forEach(fragment => {
+            const { keyword, error } = parseKeyword(fragment, kind !== 'broad');
+            if (error) {
+                errors.push({ line: lineNumber, message: error });
+                return;
+            }
+            current.keywords.push(keyword);
+        });
+    });
+
+    return { rules, errors };
+}
+
+// A keyword as written in patterns.txt, options included
+function formatKeyword(keyword) {
+    const options = [];
+    if (keyword.unless) options.push(`unless: ${keyword.unless}`);
+    if (typeof keyword.weight === 'number') options.push(`weight: ${keyword.weight}`);
+    return options.length ? `${keyword.text} {${options.join(', ')}}` : keyword.text;
+}
+
+/**
+ * Write rules back out in patterns.txt format.
+ * Disabled categories and keywords are kept as comments.
+ */
+function serializePatternRules(rules) {
+    const lines = [
+        '# Dark Pattern Keywords (Configuration)',
+        '# Exported from DarkPatternDetector options. Disabled entries are commented out.',
+        ''
+    ];
+
+    rules.forEach(rule => {
+        const prefix = rule.enabled ? '' : '# ';
+        lines.push(`${prefix}[${rule.name}]`);
+        if (rule.caseSensitive) lines.push(`${prefix}case: sensitive`);
+
+        [['strict', k => k.strict !== false], ['broad', k => k.strict === false]].forEach(([list, inList]) => {
+            const keywords = rule.keywords.filter(inList);
+            const enabled = keywords.filter(k => k.enabled).map(formatKeyword);
+            const disabled = keywords.filter(k => !k.enabled).map(formatKeyword);
+            if (enabled.length) lines.push(`${prefix}${list}: ${enabled.join(', ')}`);
+            if (disabled.length) lines.push(`# ${list}: ${disabled.join(', ')}`);
+        });
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Only the enabled categories and keywords, as
+ * { name, keywords: [{ text, strict, weight, unless, caseSensitive }] }
+ */
+function getActiveRules(rules) {
+    return rules
+        .filter(rule => rule.enabled)
+        .map(rule => ({
+            name: rule.name,
+            keywords: rule.keywords
+                .filter(k => k.enabled && !validateKeyword(k.text) && !(k.unless && validateKeyword(k.unless)))
+                .map(k => ({
+                    text: k.text,
+                    strict: k.strict !== false,
+                    weight: keywordWeight(k),
+                    unless: k.unless || null,
+                    caseSensitive: k.caseSensitive ?? !!rule.caseSensitive
+                }))
+        }))
+        .filter(rule => rule.keywords.length > 0);
+}
+
+/**
+ * Add the keywords of locale packs to the rules with the same category name.
+ * A category the user disabled stays disabled; categories only in a pack are added.
+ * Pack keywords keep the case setting of their pack.
+ */
+function mergePatternRules(rules, packRules) {
+    const merged = rules.map(rule => ({ ...rule, keywords: rule.keywords.slice() }));
+    packRules.forEach(packRule => {
+        const keywords = packRule.keywords.map(k => ({ caseSensitive: !!packRule.caseSensitive, ...k }));
+        const rule = merged.find(r => r.name === packRule.name);
+        if (rule) {
+            rule.keywords.push(...keywords);
+        } else {
+            merged.push({ ...packRule, keywords });
+        }
+    });
+    return merged;
+}
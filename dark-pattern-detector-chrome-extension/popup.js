@@ -1,5 +1,8 @@
 /**
- * DarkPatternDetector - Popup Script (v2.2 - Regex Only)
+ * DarkPatternDetector - Popup Script
+ *
+ * Shows the page-level results merged by background.js, the AI model status,
+ * per-site settings, checkout price and effort findings, and exports reports.
  */
 
 document.addEventListener('DOMContentLoaded', async () => {
@@ -13,6 +16,36 @@ document.addEventListener('DOMContentLoaded', async () => {
         return tab;
     }
 
+    // Cookie banners get their own section (content.js findConsentBanners)
+    function updateConsent(results) {
+        const section = document.getElementById('consent');
+        const list = document.getElementById('consentBanners');
+        const banners = (results || []).filter(r => r.type === "Consent" && r.consent);
+        list.innerHTML = '';
+
+        banners.forEach(banner => {
+            const div = document.createElement('div');
+            div.className = 'consent-banner';
+
+            const name = document.createElement('div');
+            name.className = 'consent-banner-name';
+            name.textContent = banner.fullText || banner.text;
+            div.appendChild(name);
+
+            const ul = document.createElement('ul');
+            ul.className = 'consent-issues';
+            banner.consent.issues.forEach(issue => {
+                const li = document.createElement('li');
+                li.textContent = issue;
+                ul.appendChild(li);
+            });
+            div.appendChild(ul);
+            list.appendChild(div);
+        });
+
+        section.style.display = banners.length > 0 ? 'block' : 'none';
+    }
+
     // Update UI with results
     function updateUI(data) {
         if (!data) {
@@ -22,6 +55,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         const count = data.count || 0;
         patternCountSpan.textContent = count;
+        updateConsent(data.results);
         const patternsList = document.getElementById('patternsList');
         patternsList.innerHTML = '';
 
@@ -56,7 +90,8 @@ document.addEventListener('DOMContentLoaded', async () => {
             // Aggregate patterns by type with content and frequency
             const details = {};
             if (data.results) {
-                data.results.forEach(r => {
+                // Consent findings are listed in their own section
+                data.results.filter(r => r.type !== "Consent").forEach(r => {
                     if (!details[r.type]) details[r.type] = {};
 
                     // Count occurrences of each specific text
@@ -108,17 +143,230 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
-    // Listen for progress updates
-    chrome.runtime.onMessage.addListener((message) => {
-        if (message.action === "scanProgress") {
-            statusDiv.textContent = `Scanning... (${message.progress}%)`;
-            statusDiv.className = "status";
-            patternCountSpan.textContent = message.found || 0;
-        } else if (message.action === "resultsReady") {
-            updateUI(message);
+    // Per-site rules (stored by origin in chrome.storage.local.siteRules)
+    async function saveSiteRule(site, rule) {
+        const { siteRules = {} } = await chrome.storage.local.get(['siteRules']);
+        if (rule.mode === "default" && rule.disabledCategories.length === 0) {
+            delete siteRules[site]; // Nothing special about this site any more
+        } else {
+            siteRules[site] = rule;
+        }
+        await chrome.storage.local.set({ siteRules });
+    }
+
+    function updateSiteSettings(data) {
+        const section = document.getElementById('siteSettings');
+        if (!data?.site || !data.categories) {
+            section.style.display = 'none';
+            return;
+        }
+
+        const rule = {
+            mode: data.siteRule?.mode || "default",
+            disabledCategories: [...(data.siteRule?.disabledCategories || [])]
+        };
+
+        document.getElementById('siteName').textContent = new URL(data.site).hostname;
+
+        const modeSelect = document.getElementById('siteMode');
+        modeSelect.value = rule.mode;
+        modeSelect.onchange = () => {
+            rule.mode = modeSelect.value;
+            saveSiteRule(data.site, rule);
+        };
+
+        const categoriesDiv = document.getElementById('siteCategories');
+        categoriesDiv.innerHTML = '';
+        data.categories.forEach(type => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !rule.disabledCategories.includes(type);
+            checkbox.addEventListener('change', () => {
+                rule.disabledCategories = checkbox.checked
+                    ? rule.disabledCategories.filter(t => t !== type)
+                    : rule.disabledCategories.concat(type);
+                saveSiteRule(data.site, rule);
+            });
+            label.append(checkbox, document.createTextNode(type));
+            categoriesDiv.appendChild(label);
+        });
+
+        section.style.display = 'block';
+    }
+
+    // Show how the checkout total grew compared to the first price seen in this tab
+    function updatePriceDrip(drip) {
+        const section = document.getElementById('priceDrip');
+        if (!drip) {
+            section.style.display = 'none';
+            return;
+        }
+
+        const format = (amount) => `${drip.currency}${amount.toFixed(2)}`;
+        document.getElementById('priceDripFirst').textContent = format(drip.firstPrice);
+        document.getElementById('priceDripFinal').textContent = `${format(drip.finalTotal)} (+${format(drip.increase)})`;
+
+        const feeList = document.getElementById('priceDripFees');
+        feeList.innerHTML = '';
+        drip.fees.forEach(fee => {
+            const li = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = fee.label;
+            label.title = `First appeared on ${fee.firstSeenUrl}`;
+            const amount = document.createElement('span');
+            amount.textContent = format(fee.amount);
+            li.append(label, amount);
+            feeList.appendChild(li);
+        });
+
+        section.style.display = 'block';
+    }
+
+    async function refreshPriceDrip() {
+        const tab = await getCurrentTab();
+        if (!tab?.id) return;
+        try {
+            const response = await chrome.runtime.sendMessage({ action: "getPriceDrip", tabId: tab.id });
+            updatePriceDrip(response?.priceDrip);
+        } catch (e) {
+            updatePriceDrip(null);
+        }
+    }
+
+    // Roach motel: the site's recorded sign-up and cancel flows side by side
+    function updateEffort(effort) {
+        const section = document.getElementById('effort');
+        if (!effort?.isObstruction) {
+            section.style.display = 'none';
+            return;
+        }
+
+        document.getElementById('effortReasons').textContent = effort.reasons.join(' ');
+
+        const describe = (flow, render) => {
+            const td = document.createElement('td');
+            if (flow) render(td, flow);
+            else td.textContent = "not recorded";
+            return td;
+        };
+        const rows = [
+            ["Pages", (td, flow) => { td.textContent = flow.pages; }],
+            ["Clicks", (td, flow) => { td.textContent = flow.clicks; }],
+            ["Form fields", (td, flow) => { td.textContent = flow.fields; }],
+            ["Channels", (td, flow) => { td.textContent = flow.channels.length ? flow.channels.join(', ') : "website"; }],
+            ["Finished", (td, flow) => { td.textContent = flow.completed ? "yes" : "no"; }],
+            ["Steps", (td, flow) => {
+                const ol = document.createElement('ol');
+                flow.steps.forEach(step => {
+                    const li = document.createElement('li');
+                    li.textContent = step.label || step.kind;
+                    li.title = step.url || '';
+                    ol.appendChild(li);
+                });
+                td.appendChild(ol);
+            }]
+        ];
+
+        const tbody = document.getElementById('effortRows');
+        tbody.innerHTML = '';
+        rows.forEach(([name, render]) => {
+            const tr = document.createElement('tr');
+            const th = document.createElement('th');
+            th.textContent = name;
+            tr.append(th, describe(effort.signup, render), describe(effort.cancel, render));
+            tbody.appendChild(tr);
+        });
+
+        section.style.display = 'block';
+    }
+
+    async function refreshEffort() {
+        const tab = await getCurrentTab();
+        if (!tab?.url) return;
+        try {
+            const site = new URL(tab.url).origin;
+            updateEffort(await chrome.runtime.sendMessage({ action: "getEffort", site }));
+        } catch (e) {
+            updateEffort(null);
+        }
+    }
+
+    // A scan is running in at least one frame: keep the last findings, show progress
+    function showScanning(page) {
+        statusDiv.textContent = page.progress ? `Scanning... (${page.progress}%)` : "Scanning...";
+        statusDiv.className = "status";
+        patternCountSpan.textContent = page.count || 0;
+        if (page.mode === "Fallback Regex") {
+            const modeBadge = document.getElementById('modeBadge');
+            if (modeBadge) {
+                modeBadge.textContent = "REGEX ONLY";
+                modeBadge.className = "badge regex";
+            }
+        }
+    }
+
+    function showPage(page) {
+        if (page.isScanning) {
+            showScanning(page);
+        } else {
+            updateUI(page);
+        }
+    }
+
+    // Sandbox model lifecycle (see sandbox.js setModelState)
+    function updateModelStatus(status) {
+        const badge = document.getElementById('modelStatus');
+        const percent = Math.round((status?.progress || 0) * 100);
+        const labels = {
+            not_started: ["Not loaded", "regex"],
+            downloading: [`Loading ${percent}%`, "loading"],
+            embedding: [`Preparing ${percent}%`, "loading"],
+            ready: ["Ready", "ai"],
+            failed: ["Failed", "failed"]
+        };
+        const [text, style] = labels[status?.state] || labels.failed;
+        badge.textContent = text;
+        badge.className = `badge ${style}`;
+        badge.title = status?.state === "ready"
+            ? `${status.model?.name} v${status.model?.version} (${status.model?.method})`
+            : status?.error || "AI verification is off until the model is ready; regex rules are used meanwhile";
+    }
+
+    async function refreshModelStatus() {
+        try {
+            updateModelStatus(await chrome.runtime.sendMessage(createMessage("getModelStatus")));
+        } catch (e) {
+            updateModelStatus({ state: "failed", error: e.message });
         }
+    }
+
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.action === "modelStateChanged") updateModelStatus(message.status);
     });
 
+    // Results and scan progress of all frames, merged by background.js
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.action !== "pageResultsUpdated") return;
+        getCurrentTab().then(tab => {
+            if (tab?.id !== message.tabId) return;
+            showPage(message);
+            if (!message.isScanning) refreshPriceDrip();
+        });
+    });
+
+    // Findings of every frame in the tab, from background.js's per-tab store.
+    // Null if no frame has reported yet.
+    async function getPageResults(tab) {
+        try {
+            const page = await chrome.runtime.sendMessage({ action: "getPageResults", tabId: tab.id });
+            if (page?.frameCount) return page;
+        } catch (e) {
+            console.warn("[Popup] Page results unavailable:", e.message);
+        }
+        return null;
+    }
+
     // Scan button click handler
     scanBtn.addEventListener('click', async () => {
         const tab = await getCurrentTab();
@@ -135,32 +383,186 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
-    // Get initial results on popup open
-    try {
-        const tab = await getCurrentTab();
-        if (tab?.id) {
-            const response = await chrome.tabs.sendMessage(tab.id, { action: "getResults" });
+    // Get initial results on popup open. Findings come from background.js, so they
+    // are there even while the content script is busy scanning.
+    const initialTab = await getCurrentTab();
+    if (initialTab?.id) {
+        const page = await getPageResults(initialTab);
+        if (page) showPage(page);
 
-            if (response.isScanning) {
-                statusDiv.textContent = "Scanning..."; // Or "Scanning in progress..."
+        // Site settings live in the top frame's content script
+        try {
+            const response = await chrome.tabs.sendMessage(initialTab.id, { action: "getResults" }, { frameId: 0 });
+            updateSiteSettings(response);
+            if (!page) showPage(response);
+        } catch (e) {
+            if (!page) {
+                statusDiv.textContent = "Refresh page to scan";
                 statusDiv.className = "status";
-                patternCountSpan.textContent = response.count || 0;
-                // Update mode even while scanning if available
-                if (response.mode) {
-                    const modeBadge = document.getElementById('modeBadge');
-                    if (modeBadge && response.mode === "Fallback Regex") {
-                        modeBadge.textContent = "REGEX ONLY";
-                        modeBadge.className = "badge regex";
-                    }
-                }
-            } else {
-                updateUI(response);
             }
         }
-    } catch (e) {
-        statusDiv.textContent = "Refresh page to scan";
-        statusDiv.className = "status";
     }
+    refreshPriceDrip();
+    refreshEffort();
+    refreshModelStatus();
+
+    // Report export: the page's findings plus enough metadata to stand as evidence
+    const REPORT_COLUMNS = ["type", "method", "score", "matches", "fullText", "context", "selector", "frameUrl"];
+
+    function escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, ch => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[ch]);
+    }
+
+    // One table cell: matched phrases as "phrase [start-end]"
+    function formatCell(column, value) {
+        if (column !== 'matches') return value;
+        return value.map(m => `${m.text} [${m.start}-${m.end}]`).join('; ');
+    }
+
+    function escapeCsv(value) {
+        const text = String(value ?? '');
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function buildReport(page) {
+        return {
+            url: page.url,
+            title: page.title,
+            scannedAt: page.scannedAt,
+            exportedAt: new Date().toISOString(),
+            extensionVersion: chrome.runtime.getManifest().version,
+            detectionMode: page.mode,
+            findingCount: page.findings.length,
+            findings: page.findings.map(f => ({
+                type: f.type,
+                method: f.method || "Unknown",
+                score: typeof f.score === 'number' ? Number(f.score.toFixed(4)) : null,
+                matches: f.matches || [], // Matched phrases with their offsets in fullText (keyword findings)
+                fullText: f.fullText || f.text,
+                context: f.context || '',
+                selector: f.selector || '',
+                frameUrl: f.frameUrl || page.url
+            }))
+        };
+    }
+
+    function reportToCsv(report) {
+        // Page metadata is repeated on each row so the file stands alone in a spreadsheet
+        const header = ["url", "scannedAt", "extensionVersion", ...REPORT_COLUMNS];
+        const rows = report.findings.map(f => [
+            report.url, report.scannedAt, report.extensionVersion, ...REPORT_COLUMNS.map(c => formatCell(c, f[c]))
+        ]);
+        return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n');
+    }
+
+    function reportToHtml(report) {
+        const rows = report.findings.map(f => `
+            <tr>
+                ${REPORT_COLUMNS.map(c => `<td${c === 'selector' || c === 'frameUrl' ? ' class="mono"' : ''}>${escapeHtml(formatCell(c, f[c]))}</td>`).join('')}
+            </tr>`).join('');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>Dark Pattern Report - ${escapeHtml(report.title || report.url)}</title>
+<style>
+    body { font-family: 'Segoe UI', system-ui, sans-serif; margin: 32px; color: #333; }
+    h1 { font-size: 20px; margin-bottom: 4px; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; font-size: 13px; }
+    dt { font-weight: 600; }
+    table { border-collapse: collapse; width: 100%; margin-top: 24px; font-size: 12px; }
+    th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f5f5f5; }
+    td.mono { font-family: Consolas, monospace; word-break: break-all; }
+    @media print { body { margin: 0; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Dark Pattern Report</h1>
+<dl>
+    <dt>Page</dt><dd>${escapeHtml(report.title)}<br>${escapeHtml(report.url)}</dd>
+    <dt>Scanned</dt><dd>${escapeHtml(report.scannedAt)}</dd>
+    <dt>Exported</dt><dd>${escapeHtml(report.exportedAt)}</dd>
+    <dt>Extension version</dt><dd>${escapeHtml(report.extensionVersion)}</dd>
+    <dt>Detection mode</dt><dd>${escapeHtml(report.detectionMode)}</dd>
+    <dt>Findings</dt><dd>${report.findingCount}</dd>
+</dl>
+<table>
+    <thead><tr>${REPORT_COLUMNS.map(c => `<th>${escapeHtml(c)}</th>`).join('')}</tr></thead>
+    <tbody>${rows}</tbody>
+</table>
+</body>
+</html>`;
+    }
+
+    function downloadFile(content, type, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    // Findings of past visits, across sites (dashboard.html)
+    document.getElementById('historyBtn').addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+    });
+
+    document.getElementById('exportBtn').addEventListener('click', async () => {
+        const tab = await getCurrentTab();
+        if (!tab?.id) return;
+
+        let page;
+        try {
+            page = await chrome.tabs.sendMessage(tab.id, { action: "getReport" }, { frameId: 0 });
+            // Include the findings of embedded frames as well
+            const pageResults = await getPageResults(tab);
+            if (pageResults) page.findings = pageResults.results;
+        } catch (e) {
+            statusDiv.textContent = "Cannot export this page";
+            statusDiv.className = "status";
+            return;
+        }
+
+        const report = buildReport(page);
+        const format = document.getElementById('exportFormat').value;
+        const host = new URL(report.url).hostname.replace(/[^a-z0-9.-]/gi, '_');
+        const stamp = report.exportedAt.replace(/[:.]/g, '-');
+        const filename = `dark-patterns_${host}_${stamp}.${format}`;
+
+        if (format === 'csv') {
+            downloadFile(reportToCsv(report), 'text/csv', filename);
+        } else if (format === 'html') {
+            downloadFile(reportToHtml(report), 'text/html', filename);
+        } else {
+            downloadFile(JSON.stringify(report, null, 2), 'application/json', filename);
+        }
+    });
+
+    // Highlight style: inline spans, or overlay boxes that leave the page DOM alone
+    const highlightModeSelect = document.getElementById('highlightMode');
+    chrome.storage.local.get(['highlightMode'], (result) => {
+        highlightModeSelect.value = result.highlightMode || "inline";
+    });
+    highlightModeSelect.addEventListener('change', () => {
+        chrome.storage.local.set({ highlightMode: highlightModeSelect.value });
+    });
+
+    document.getElementById('clearBtn').addEventListener('click', async () => {
+        const tab = await getCurrentTab();
+        if (!tab?.id) return;
+
+        try {
+            await chrome.tabs.sendMessage(tab.id, { action: "clearHighlights" });
+        } catch (e) {
+            statusDiv.textContent = "Cannot clear highlights on this page";
+            statusDiv.className = "status";
+        }
+    });
+
     // Pause button handler
     const pauseBtn = document.getElementById('pauseBtn');
 
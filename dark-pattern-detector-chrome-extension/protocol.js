@@ -0,0 +1,107 @@
+/**
+ * DarkPatternDetector - Message Protocol
+ *
+ * Shared by every hop of the AI chain: content (lib/tf-stub.js) -> background.js ->
+ * offscreen.js -> sandbox.js and back. Messages carry the protocol version and are
+ * checked against their schema whenever they cross a boundary. Failures travel
+ * back as { error, code } with a code from PROTOCOL_ERRORS.
+ */
+
+const PROTOCOL_VERSION = 1;
+
+const PROTOCOL_ERRORS = {
+    INVALID_MESSAGE: "INVALID_MESSAGE", // Failed schema validation
+    VERSION_MISMATCH: "VERSION_MISMATCH", // Sent by another version of the extension
+    UNKNOWN_ACTION: "UNKNOWN_ACTION",
+    MODEL_UNAVAILABLE: "MODEL_UNAVAILABLE", // The model failed to load
+    SANDBOX_UNAVAILABLE: "SANDBOX_UNAVAILABLE", // No offscreen document or sandbox frame
+    TIMEOUT: "TIMEOUT",
+    CANCELLED: "CANCELLED", // The tab navigated or closed
+    INTERNAL: "INTERNAL" // Anything thrown while handling the request
+};
+
+/**
+ * Request fields per action. Types: "string", "number", "boolean", "array",
+ * "object" or "string[]"; a trailing "?" makes the field optional.
+ */
+const REQUEST_SCHEMAS = {
+    predict: { text: "string", requestId: "string?" },
+    predictBatch: { texts: "string[]", requestId: "string?" },
+    initModel: {},
+    getModelStatus: {},
+    setFeedback: { confirmed: "array", rejected: "string[]" },
+    ping: {},
+    cancel: { requestIds: "string[]" },
+    modelStateChanged: { status: "object" } // Pushed by the sandbox, relayed by offscreen.js
+};
+
+// Fields of a successful reply per action (error replies are { error, code })
+const RESPONSE_SCHEMAS = {
+    predict: { result: "object" },
+    predictBatch: { results: "array" },
+    initModel: { success: "boolean" },
+    getModelStatus: { state: "string", ready: "boolean" },
+    setFeedback: { success: "boolean" },
+    ping: { pong: "boolean" },
+    cancel: { cancelled: "number" }
+};
+
+function createMessage(action, payload = {}) {
+    return { v: PROTOCOL_VERSION, action, ...payload };
+}
+
+function protocolError(code, message) {
+    return { error: message || code, code };
+}
+
+function isProtocolError(response) {
+    return !!response && typeof response.error === 'string' && typeof response.code === 'string';
+}
+
+function matchesType(value, type) {
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'string[]') return Array.isArray(value) && value.every(item => typeof item === 'string');
+    if (type === 'object') return !!value && typeof value === 'object' && !Array.isArray(value);
+    return typeof value === type;
+}
+
+// First field that does not match the schema, as a message, or null
+function checkFields(object, schema) {
+    for (const [field, spec] of Object.entries(schema)) {
+        const optional = spec.endsWith('?');
+        const type = optional ? spec.slice(0, -1) : spec;
+        if (object[field] === undefined && optional) continue;
+        if (!matchesType(object[field], type)) return `"${field}" must be ${type}`;
+    }
+    return null;
+}
+
+/**
+ * null if the message is a valid request of this protocol version, otherwise an error reply
+ */
+function validateRequest(message) {
+    if (!message || typeof message !== 'object') {
+        return protocolError(PROTOCOL_ERRORS.INVALID_MESSAGE, "Message is not an object");
+    }
+    if (message.v !== PROTOCOL_VERSION) {
+        return protocolError(PROTOCOL_ERRORS.VERSION_MISMATCH, `Protocol v${message.v} is not v${PROTOCOL_VERSION}; reload the page`);
+    }
+    const schema = REQUEST_SCHEMAS[message.action];
+    if (!schema) {
+        return protocolError(PROTOCOL_ERRORS.UNKNOWN_ACTION, `Unknown action "${message.action}"`);
+    }
+    const problem = checkFields(message, schema);
+    return problem ? protocolError(PROTOCOL_ERRORS.INVALID_MESSAGE, `${message.action}: ${problem}`) : null;
+}
+
+/**
+ * null if the reply fits the action (or is a structured error), otherwise an error reply
+ */
+function validateResponse(action, response) {
+    if (isProtocolError(response)) return null;
+    if (!response || typeof response !== 'object') {
+        return protocolError(PROTOCOL_ERRORS.INVALID_MESSAGE, `${action}: empty reply`);
+    }
+    const problem = checkFields(response, RESPONSE_SCHEMAS[action] || {});
+    return problem ? protocolError(PROTOCOL_ERRORS.INVALID_MESSAGE, `${action} reply: ${problem}`) : null;
+}
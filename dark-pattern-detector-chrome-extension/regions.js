@@ -0,0 +1,30 @@
+/**
+ * DarkPatternDetector - Page Regions
+ *
+ * Shared by the content script (which sorts text into these regions before the
+ * keyword scan) and the options page (where the policies are edited). Edits are
+ * saved in chrome.storage.local as regionPolicies, e.g. { footer: "skip" }.
+ */
+
+// "scan": report as usual, "lower": report at a lower severity, "skip": leave unscanned
+const REGION_POLICY_VALUES = ['scan', 'lower', 'skip'];
+
+// In priority order: a cookie banner inside the footer is a cookie banner
+const PAGE_REGIONS = [
+    { id: 'cookie', label: "Cookie banners", policy: 'skip' }, // Judged by the Consent detector instead
+    { id: 'legal', label: "Legal text (copyright lines, terms, disclaimers)", policy: 'skip' },
+    { id: 'footer', label: "Site footer", policy: 'lower' },
+    { id: 'nav', label: "Navigation menus", policy: 'lower' },
+    { id: 'main', label: "Everything else", policy: 'scan' }
+];
+
+/**
+ * Saved policies on top of the defaults, ignoring unknown regions and values
+ */
+function getRegionPolicies(saved) {
+    const policies = {};
+    PAGE_REGIONS.forEach(({ id, policy }) => {
+        policies[id] = REGION_POLICY_VALUES.includes(saved?.[id]) ? saved[id] : policy;
+    });
+    return policies;
+}
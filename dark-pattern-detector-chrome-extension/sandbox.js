@@ -5,12 +5,42 @@
  * Handles TensorFlow.js model execution and communication with the parent frame.
  */
 
+// Bundled model: weights and vocabulary are packaged with the extension by the build
+// (see models/README.md), so nothing is downloaded at runtime
+const MODEL_INFO = {
+    name: "universal-sentence-encoder-lite",
+    version: "1",
+    modelUrl: "models/use-lite/model.json",
+    vocabUrl: "models/use-lite/vocab.json",
+    // Trained offline by scripts/train-classifier.js from training/dark_patterns.jsonl
+    classifierUrl: "models/classifier/head.json"
+};
+
+// Used only when no classifier head is bundled (nearest-example fallback)
+const SIMILARITY_THRESHOLD = 0.6;
+
 // Global state
 let useModel = null;
 let exampleEmbeddings = null;
+let classifierHead = null;
 let modelReady = false;
 let loadingPromise = null;
 
+// Load lifecycle: not_started -> downloading -> embedding -> ready, or failed (retried on
+// the next request). progress runs from 0 to 1 across the whole load.
+let modelState = { state: "not_started", progress: 0, error: null };
+const EXAMPLE_EMBED_CHUNK = 16; // Examples per embed call while reporting progress
+
+// Cached tensors for batch scoring, so a batch is one embed call plus a few matMuls.
+// Similarity matrices hold L2-normalised rows: a dot product is the cosine similarity.
+let exampleMatrix = null; // [examples + confirmed feedback, dim]
+let exampleMatrixLabels = [];
+let exampleMatrixLanguages = []; // null for feedback rows, which apply to every language
+let confirmedMatrix = null; // [confirmed feedback, dim] or null
+let rejectedMatrix = null; // [rejected feedback, dim] or null
+let headWeights = null; // [classes, dim]
+let headBias = null; // [classes]
+
 // Dark pattern examples
 const DARK_PATTERN_EXAMPLES = {
     fakeUrgency: [
@@ -49,42 +79,207 @@ const DARK_PATTERN_EXAMPLES = {
     ]
 };
 
+// The same labels in the pattern pack languages (see language.js). The classifier head is
+// trained on English, so texts in these languages are matched against their own examples.
+const LOCALIZED_EXAMPLES = {
+    de: {
+        fakeUrgency: ["Beeilen Sie sich! Nur noch heute!", "Angebot endet bald!", "Jetzt zugreifen, die Zeit läuft ab!"],
+        fakeScarcity: ["Nur noch 2 auf Lager!", "Fast ausverkauft!", "Hohe Nachfrage!", "Nur noch wenige Stück verfügbar"],
+        fakeSocialProof: ["15 Personen sehen sich das gerade an", "Bestseller", "Über 1000 Mal gekauft"],
+        confirmshaming: ["Nein danke, ich möchte nicht sparen", "Ich zahle lieber den vollen Preis"],
+        hiddenCosts: ["Servicegebühr", "Bearbeitungsgebühr", "Buchungsgebühr"],
+        hiddenSubscription: ["Kostenlos testen, danach 9,99 € pro Monat", "Verlängert sich automatisch"],
+        nagging: ["Sind Sie sicher?", "Gehen Sie noch nicht!", "Benachrichtigungen aktivieren"],
+        obstruction: ["Kündigung nur telefonisch möglich"],
+        forcedAction: ["Konto erstellen, um fortzufahren", "App herunterladen, um weiterzulesen"]
+    },
+    fr: {
+        fakeUrgency: ["Dépêchez-vous ! Offre limitée !", "L'offre se termine bientôt !", "Aujourd'hui seulement"],
+        fakeScarcity: ["Plus que 2 en stock !", "Presque épuisé !", "Forte demande !"],
+        fakeSocialProof: ["15 personnes regardent cet article", "Meilleure vente", "Le plus populaire"],
+        confirmshaming: ["Non merci, je préfère payer plein tarif", "Je ne veux pas économiser"],
+        hiddenCosts: ["Frais de service", "Frais de dossier", "Frais de traitement"],
+        hiddenSubscription: ["Essai gratuit, puis 9,99 € par mois", "Renouvellement automatique"],
+        nagging: ["Êtes-vous sûr ?", "Vous partez déjà ?", "Votre panier vous attend"],
+        obstruction: ["Résiliation par téléphone uniquement"],
+        forcedAction: ["Créez un compte pour continuer", "Téléchargez l'application pour lire la suite"]
+    },
+    es: {
+        fakeUrgency: ["¡Date prisa! ¡Oferta por tiempo limitado!", "La oferta termina pronto", "Solo hoy"],
+        fakeScarcity: ["¡Solo quedan 2 en stock!", "¡Casi agotado!", "Alta demanda", "Últimas unidades"],
+        fakeSocialProof: ["15 personas están viendo este producto", "Más vendido", "Lo más popular"],
+        confirmshaming: ["No gracias, prefiero pagar el precio completo", "No quiero ahorrar"],
+        hiddenCosts: ["Cargo por servicio", "Gastos de gestión", "Tarifa de procesamiento"],
+        hiddenSubscription: ["Prueba gratuita, luego 9,99 € al mes", "Se renueva automáticamente"],
+        nagging: ["¿Estás seguro?", "¡No te vayas!", "Tu carrito te espera"],
+        obstruction: ["Para cancelar, llama por teléfono"],
+        forcedAction: ["Crea una cuenta para continuar", "Descarga la app para seguir leyendo"]
+    },
+    hi: {
+        fakeUrgency: ["जल्दी करें! सीमित समय का ऑफ़र!", "ऑफ़र जल्द समाप्त हो रहा है", "आज ही खरीदें"],
+        fakeScarcity: ["केवल 2 बचे हैं!", "स्टॉक कम है", "लगभग बिक गया"],
+        fakeSocialProof: ["15 लोग इसे देख रहे हैं", "बेस्टसेलर", "सबसे लोकप्रिय"],
+        hiddenCosts: ["सुविधा शुल्क", "सेवा शुल्क"],
+        hiddenSubscription: ["मुफ़्त ट्रायल, फिर ₹199 प्रति माह", "स्वतः नवीनीकरण"],
+        nagging: ["क्या आप निश्चित हैं?"],
+        forcedAction: ["जारी रखने के लिए खाता बनाएं", "ऐप डाउनलोड करें"]
+    },
+    ja: {
+        fakeUrgency: ["本日限り！", "まもなく終了", "期間限定セール", "今すぐご購入ください"],
+        fakeScarcity: ["残り2点！", "残りわずか", "在庫わずか", "売り切れ間近"],
+        fakeSocialProof: ["15人が閲覧中", "人気No.1", "ベストセラー"],
+        confirmshaming: ["いいえ、定価で購入します"],
+        hiddenCosts: ["手数料", "サービス料", "別途送料がかかります"],
+        hiddenSubscription: ["無料体験後、月額980円", "自動更新されます"],
+        nagging: ["本当によろしいですか？", "通知をオンにしてください"],
+        obstruction: ["解約はお電話でのみ受け付けています"],
+        forcedAction: ["会員登録して続きを読む", "アプリをダウンロードして続ける"]
+    }
+};
+
+// Regex categories (as stored with user feedback) -> example labels
+const CATEGORY_LABELS = {
+    "Urgency": "fakeUrgency",
+    "Scarcity": "fakeScarcity",
+    "Social Proof": "fakeSocialProof",
+    "Confirmshaming": "confirmshaming",
+    "Hidden Costs": "hiddenCosts",
+    "Hidden Subscription": "hiddenSubscription",
+    "Nagging": "nagging",
+    "Obstruction": "obstruction",
+    "Preselection": "preselection",
+    "Forced Action": "forcedAction"
+};
+
+// User feedback: confirmed texts act as extra examples, rejected texts as negatives.
+// Similarity above this makes a feedback example decide the outcome.
+const FEEDBACK_SIMILARITY = 0.85;
+let confirmedFeedback = []; // [{ vec, label, text }]
+let rejectedFeedback = []; // [{ vec, text }]
+
 // Flatten examples
 const ALL_EXAMPLES = [];
 const EXAMPLE_LABELS = [];
-Object.entries(DARK_PATTERN_EXAMPLES).forEach(([type, examples]) => {
-    examples.forEach(example => {
-        ALL_EXAMPLES.push(example);
-        EXAMPLE_LABELS.push(type);
+const EXAMPLE_LANGUAGES = [];
+Object.entries({ en: DARK_PATTERN_EXAMPLES, ...LOCALIZED_EXAMPLES }).forEach(([lang, sets]) => {
+    Object.entries(sets).forEach(([type, examples]) => {
+        examples.forEach(example => {
+            ALL_EXAMPLES.push(example);
+            EXAMPLE_LABELS.push(type);
+            EXAMPLE_LANGUAGES.push(lang);
+        });
     });
 });
 
+// Lifecycle plus model details, as returned by getModelStatus
+function getModelStatus() {
+    return { ...modelState, ready: modelReady, model: getModelInfo() };
+}
+
+/**
+ * Record a lifecycle change and push it to the offscreen bridge (a message without
+ * an id), which forwards it to background.js and an open popup
+ */
+function setModelState(state, progress, error = null) {
+    modelState = { state, progress, error };
+    window.parent.postMessage({ v: PROTOCOL_VERSION, event: "modelState", status: getModelStatus() }, "*");
+}
+
+// Describes which model is (or would be) running, for status reporting
+function getModelInfo() {
+    return {
+        name: MODEL_INFO.name,
+        version: MODEL_INFO.version,
+        source: "bundled",
+        method: classifierHead ? "classifier" : "nearest-example",
+        classifier: classifierHead ? {
+            version: classifierHead.version,
+            labels: classifierHead.labels,
+            trainedAt: classifierHead.trainedAt
+        } : null
+    };
+}
+
+/**
+ * Load the softmax classifier head. Returns null (nearest-example fallback) if it
+ * is missing or does not match the encoder's output size.
+ */
+async function loadClassifierHead() {
+    try {
+        const response = await fetch(new URL(MODEL_INFO.classifierUrl, location.href).href);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const head = await response.json();
+
+        const dim = head.inputDim;
+        const valid = Array.isArray(head.labels) && head.labels.includes('benign') &&
+            head.weights.length === head.labels.length && head.bias.length === head.labels.length &&
+            head.weights.every(row => row.length === dim);
+        if (!valid) throw new Error("Malformed classifier head");
+
+        return head;
+    } catch (e) {
+        console.warn(`[Sandbox] No usable classifier head (${e.message}), using nearest-example matching`);
+        return null;
+    }
+}
+
 async function initModel() {
-    if (modelReady) return { success: true };
+    if (modelReady) return { success: true, model: getModelInfo() };
     if (loadingPromise) return loadingPromise;
 
-    console.log("[Sandbox] Loading TensorFlow.js model...");
+    console.log(`[Sandbox] Loading ${MODEL_INFO.name} v${MODEL_INFO.version} from extension bundle...`);
 
     loadingPromise = (async () => {
         try {
+            setModelState("downloading", 0);
             if (typeof tf === 'undefined' || typeof use === 'undefined') {
                 throw new Error("Libraries not loaded");
             }
 
+            // Resolve against sandbox.html so the URLs point into the extension package
+            const modelUrl = new URL(MODEL_INFO.modelUrl, location.href).href;
+            const vocabUrl = new URL(MODEL_INFO.vocabUrl, location.href).href;
+
+            // Fail with a clear message if the weights were not packaged
+            const probe = await fetch(modelUrl).catch(() => null);
+            if (!probe || !probe.ok) {
+                throw new Error(`Bundled model not found at ${MODEL_INFO.modelUrl}. Run "npm run build" before loading the extension.`);
+            }
+
+            setModelState("downloading", 0.1);
+
             // Load USE model
-            useModel = await use.load();
-            console.log("[Sandbox] Model loaded");
+            useModel = await use.load({ modelUrl, vocabUrl });
+            console.log(`[Sandbox] Model loaded: ${MODEL_INFO.name} v${MODEL_INFO.version}`);
+            setModelState("downloading", 0.5);
 
-            // Embed examples
-            exampleEmbeddings = await useModel.embed(ALL_EXAMPLES);
+            classifierHead = await loadClassifierHead();
+            if (classifierHead) {
+                headWeights = tf.tensor2d(classifierHead.weights);
+                headBias = tf.tensor1d(classifierHead.bias);
+                console.log(`[Sandbox] Classifier head v${classifierHead.version} loaded (${classifierHead.labels.length} classes)`);
+            }
+
+            // Embed examples in chunks so the popup can show progress
+            setModelState("embedding", 0.55);
+            const chunks = [];
+            for (let i = 0; i < ALL_EXAMPLES.length; i += EXAMPLE_EMBED_CHUNK) {
+                chunks.push(await useModel.embed(ALL_EXAMPLES.slice(i, i + EXAMPLE_EMBED_CHUNK)));
+                setModelState("embedding", 0.55 + 0.45 * Math.min(1, (i + EXAMPLE_EMBED_CHUNK) / ALL_EXAMPLES.length));
+            }
+            exampleEmbeddings = tf.concat(chunks);
+            chunks.forEach(chunk => chunk.dispose());
+            rebuildExampleMatrix();
             console.log("[Sandbox] Examples embedded");
 
             modelReady = true;
-            return { success: true };
+            setModelState("ready", 1);
+            return { success: true, model: getModelInfo() };
         } catch (e) {
             console.error("[Sandbox] Init error:", e);
             modelReady = false;
-            return { success: false, error: e.toString() };
+            setModelState("failed", modelState.progress, e.toString());
+            return { success: false, error: e.toString(), model: getModelInfo() };
         } finally {
             loadingPromise = null;
         }
@@ -93,68 +288,295 @@ async function initModel() {
     return loadingPromise;
 }
 
-function cosineSimilarity(vecA, vecB) {
-    let dot = 0, normA = 0, normB = 0;
-    for (let i = 0; i < vecA.length; i++) {
-        dot += vecA[i] * vecB[i];
-        normA += vecA[i] * vecA[i];
-        normB += vecB[i] * vecB[i];
-    }
-    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+function normalizeRows(matrix) {
+    return tf.tidy(() => matrix.div(matrix.norm('euclidean', 1, true).add(1e-12)));
 }
 
-async function predict(text) {
+// Normalised matrix of feedback vectors, or null when there are none
+function toFeedbackMatrix(entries) {
+    return entries.length ? tf.tidy(() => normalizeRows(tf.tensor2d(entries.map(e => e.vec)))) : null;
+}
+
+/**
+ * Examples plus confirmed feedback, rebuilt when either changes
+ */
+function rebuildExampleMatrix() {
+    if (exampleMatrix) exampleMatrix.dispose();
+    exampleMatrix = tf.tidy(() => normalizeRows(confirmedFeedback.length
+        ? tf.concat([exampleEmbeddings, tf.tensor2d(confirmedFeedback.map(f => f.vec))])
+        : exampleEmbeddings));
+    exampleMatrixLabels = EXAMPLE_LABELS.concat(confirmedFeedback.map(f => f.label));
+    exampleMatrixLanguages = EXAMPLE_LANGUAGES.concat(confirmedFeedback.map(() => null));
+}
+
+/**
+ * Cosine similarity of every input row against every row of matrix: [inputs][rows]
+ */
+async function similarityRows(inputs, matrix) {
+    if (!matrix) return new Array(inputs.shape[0]).fill([]);
+    const sims = tf.matMul(inputs, matrix, false, true);
+    const rows = await sims.array();
+    sims.dispose();
+    return rows;
+}
+
+/**
+ * Replace the feedback examples with the user's stored verdicts
+ */
+async function setFeedback(confirmed = [], rejected = []) {
     if (!modelReady) {
         const result = await initModel();
-        if (!result.success) return { error: "Model failed to load: " + result.error };
+        if (!result.success) return protocolError(PROTOCOL_ERRORS.MODEL_UNAVAILABLE, "Model failed to load: " + result.error);
     }
 
+    const embedAll = async (texts) => {
+        if (texts.length === 0) return [];
+        const embeddings = await useModel.embed(texts);
+        const vecs = await embeddings.array();
+        embeddings.dispose();
+        return vecs;
+    };
+
     try {
-        const inputEmbedding = await useModel.embed([text]);
-        const inputVec = await inputEmbedding.array();
-        const exampleVecs = await exampleEmbeddings.array();
+        const confirmedVecs = await embedAll(confirmed.map(c => c.text));
+        const rejectedVecs = await embedAll(rejected);
 
-        inputEmbedding.dispose();
+        confirmedFeedback = confirmed.map((c, i) => ({
+            vec: confirmedVecs[i],
+            text: c.text,
+            label: CATEGORY_LABELS[c.type] || c.type
+        }));
+        rejectedFeedback = rejected.map((text, i) => ({ vec: rejectedVecs[i], text }));
 
-        let maxSim = 0;
-        let bestIdx = -1;
+        [confirmedMatrix, rejectedMatrix].forEach(matrix => matrix && matrix.dispose());
+        confirmedMatrix = toFeedbackMatrix(confirmedFeedback);
+        rejectedMatrix = toFeedbackMatrix(rejectedFeedback);
+        rebuildExampleMatrix();
 
-        for (let i = 0; i < exampleVecs.length; i++) {
-            const sim = cosineSimilarity(inputVec[0], exampleVecs[i]);
-            if (sim > maxSim) {
-                maxSim = sim;
-                bestIdx = i;
-            }
-        }
+        console.log(`[Sandbox] Feedback loaded: ${confirmedFeedback.length} confirmed, ${rejectedFeedback.length} rejected`);
+        return { success: true, confirmed: confirmedFeedback.length, rejected: rejectedFeedback.length };
+    } catch (e) {
+        return protocolError(PROTOCOL_ERRORS.INTERNAL, e.message);
+    }
+}
 
-        const type = bestIdx >= 0 ? EXAMPLE_LABELS[bestIdx] : "Unknown";
+// Most similar feedback entry to the input (given its similarity row), or null
+function nearestFeedback(sims, entries) {
+    let best = null;
+    sims.forEach((sim, i) => {
+        if (!best || sim > best.sim) best = { ...entries[i], sim };
+    });
+    return best;
+}
+
+/**
+ * Let the user's verdicts override the model for near-identical texts
+ */
+function applyFeedback(result, confirmedSims, rejectedSims) {
+    const confirmed = nearestFeedback(confirmedSims, confirmedFeedback);
+    const rejected = nearestFeedback(rejectedSims, rejectedFeedback);
+
+    if (rejected && rejected.sim >= FEEDBACK_SIMILARITY && (!confirmed || rejected.sim > confirmed.sim)) {
+        return { ...result, isDarkPattern: false, suppressedBy: rejected.text, method: "feedback" };
+    }
+    if (confirmed && confirmed.sim >= FEEDBACK_SIMILARITY && !result.isDarkPattern) {
         return {
-            score: maxSim,
-            type: type.charAt(0).toUpperCase() + type.slice(1),
-            confidence: maxSim > 0.7 ? "High" : "Medium",
-            modelUsed: "USE"
+            ...result,
+            isDarkPattern: true,
+            score: confirmed.sim,
+            type: formatLabel(confirmed.label),
+            confirmedBy: confirmed.text,
+            method: "feedback"
         };
-    } catch (e) {
-        return { error: e.message };
     }
+    return result;
 }
 
-// Message Listener
-window.addEventListener('message', async (event) => {
-    // Basic security check - in production verify origin, but sandbox has null origin
-    const { action, text, id } = event.data;
+function formatLabel(label) {
+    return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+/**
+ * Softmax of the classifier head for every input row: [inputs][classes]
+ */
+async function classifierProbabilities(embeddings) {
+    const probs = tf.tidy(() => tf.softmax(tf.matMul(embeddings, headWeights, false, true).add(headBias)));
+    const rows = await probs.array();
+    probs.dispose();
+    return rows;
+}
+
+/**
+ * Classifier head: per-class probabilities, with an explicit benign class.
+ * score is the probability that the text is any kind of dark pattern.
+ */
+function classify(probs) {
+    const head = classifierHead;
+    const probabilities = {};
+    head.labels.forEach((label, c) => { probabilities[label] = probs[c]; });
+
+    let bestLabel = null;
+    head.labels.forEach(label => {
+        if (label !== 'benign' && (bestLabel === null || probabilities[label] > probabilities[bestLabel])) {
+            bestLabel = label;
+        }
+    });
+
+    const score = 1 - probabilities.benign;
+    return {
+        score,
+        type: formatLabel(bestLabel),
+        probabilities,
+        isDarkPattern: score >= 0.5,
+        confidence: score > 0.8 ? "High" : "Medium",
+        method: "classifier"
+    };
+}
+
+/**
+ * Fallback: best cosine similarity per category against the example phrases.
+ * Confirmed user feedback is part of the example matrix. With a language, only
+ * that language's and the English examples are compared.
+ */
+function nearestExample(sims, lang = null) {
+    const similarities = {};
+    sims.forEach((sim, i) => {
+        const exampleLang = exampleMatrixLanguages[i];
+        if (lang && exampleLang && exampleLang !== lang && exampleLang !== 'en') return;
+        const label = exampleMatrixLabels[i];
+        if (similarities[label] === undefined || sim > similarities[label]) similarities[label] = sim;
+    });
+
+    let bestLabel = null;
+    Object.keys(similarities).forEach(label => {
+        if (bestLabel === null || similarities[label] > similarities[bestLabel]) bestLabel = label;
+    });
+
+    const score = bestLabel ? similarities[bestLabel] : 0;
+    return {
+        score,
+        type: bestLabel ? formatLabel(bestLabel) : "Unknown",
+        // Similarities, not probabilities: there is no benign class to normalise against
+        probabilities: null,
+        similarities,
+        isDarkPattern: score > SIMILARITY_THRESHOLD,
+        confidence: score > 0.7 ? "High" : "Medium",
+        method: "nearest-example"
+    };
+}
 
-    if (action === 'init') {
+/**
+ * Score many texts with one embed call. Returns one result per text, or { error }.
+ */
+async function predictBatch(texts) {
+    if (texts.length === 0) return [];
+    if (!modelReady) {
         const result = await initModel();
-        event.source.postMessage({ id, success: result.success, error: result.error }, event.origin);
+        if (!result.success) return protocolError(PROTOCOL_ERRORS.MODEL_UNAVAILABLE, "Model failed to load: " + result.error);
     }
-    else if (action === 'predict') {
-        const result = await predict(text);
-        event.source.postMessage({ id, result }, event.origin);
+
+    let embeddings = null;
+    let normalized = null;
+    try {
+        embeddings = await useModel.embed(texts);
+        normalized = normalizeRows(embeddings);
+
+        const [probs, exampleSims, confirmedSims, rejectedSims] = await Promise.all([
+            classifierHead ? classifierProbabilities(embeddings) : null,
+            similarityRows(normalized, exampleMatrix),
+            similarityRows(normalized, confirmedMatrix),
+            similarityRows(normalized, rejectedMatrix)
+        ]);
+
+        return texts.map((text, i) => {
+            // The classifier head only knows English; other pack languages use their examples
+            const lang = detectLanguage(text);
+            const localized = PATTERN_PACK_LANGUAGES.includes(lang);
+            const base = classifierHead && !localized ? classify(probs[i]) : nearestExample(exampleSims[i], localized ? lang : null);
+            const result = applyFeedback(base, confirmedSims[i], rejectedSims[i]);
+            result.language = lang || 'en';
+            result.modelUsed = `${MODEL_INFO.name} v${MODEL_INFO.version}`;
+            return result;
+        });
+    } catch (e) {
+        return protocolError(PROTOCOL_ERRORS.INTERNAL, e.message);
+    } finally {
+        if (embeddings) embeddings.dispose();
+        if (normalized) normalized.dispose();
     }
-    else if (action === 'ping') {
-        event.source.postMessage({ id, pong: true }, event.origin);
+}
+
+async function predict(text) {
+    const results = await predictBatch([text]);
+    return Array.isArray(results) ? results[0] : results;
+}
+
+// Predictions run one at a time; those cancelled while still queued are skipped
+let predictionQueue = Promise.resolve();
+const queuedRequests = new Set();
+const cancelledRequests = new Set();
+
+function enqueuePrediction(requestId, run) {
+    if (requestId) queuedRequests.add(requestId);
+    const task = predictionQueue.then(() => {
+        queuedRequests.delete(requestId);
+        if (cancelledRequests.delete(requestId)) {
+            return protocolError(PROTOCOL_ERRORS.CANCELLED, "Prediction cancelled");
+        }
+        return run();
+    });
+    predictionQueue = task.catch(() => { });
+    return task;
+}
+
+function cancelPredictions(requestIds) {
+    const queued = requestIds.filter(requestId => queuedRequests.has(requestId));
+    queued.forEach(requestId => cancelledRequests.add(requestId));
+    return { cancelled: queued.length };
+}
+
+// Reply payload per action (or a protocol error)
+const handlers = {
+    initModel: async () => {
+        const result = await initModel();
+        return result.success
+            ? { success: true, model: result.model }
+            : protocolError(PROTOCOL_ERRORS.MODEL_UNAVAILABLE, result.error);
+    },
+    getModelStatus: () => getModelStatus(),
+    predict: (request) => enqueuePrediction(request.requestId, async () => {
+        const result = await predict(request.text);
+        return isProtocolError(result) ? result : { result };
+    }),
+    predictBatch: (request) => enqueuePrediction(request.requestId, async () => {
+        const results = await predictBatch(request.texts);
+        return Array.isArray(results) ? { results } : results;
+    }),
+    setFeedback: (request) => setFeedback(request.confirmed, request.rejected),
+    cancel: (request) => cancelPredictions(request.requestIds),
+    ping: () => ({ pong: true })
+};
+
+// Message Listener: only the offscreen document that hosts this frame may talk to it
+window.addEventListener('message', async (event) => {
+    if (event.source !== window.parent) return;
+
+    const { id } = event.data || {};
+    const invalid = validateRequest(event.data);
+    const handler = handlers[event.data?.action];
+    let response;
+    if (invalid) {
+        response = invalid;
+    } else if (!handler) {
+        response = protocolError(PROTOCOL_ERRORS.UNKNOWN_ACTION, `Sandbox cannot handle "${event.data.action}"`);
+    } else {
+        try {
+            response = await handler(event.data);
+        } catch (e) {
+            response = protocolError(PROTOCOL_ERRORS.INTERNAL, e.message);
+        }
     }
+    event.source.postMessage({ v: PROTOCOL_VERSION, id, response }, event.origin);
 });
 
 console.log("[Sandbox] Script loaded");
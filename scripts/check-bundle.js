@@ -0,0 +1,85 @@
+/**
+ * DarkPatternDetector - Bundle Check Script
+ *
+ * Fails (exit code 1) if model files the sandbox loads from the extension package
+ * are missing: the encoder's model.json, every weight shard it lists, the
+ * vocabulary, and the classifier head (which must also be trained on the current
+ * training/dark_patterns.jsonl). Without them the sandbox silently falls back to
+ * weaker matching, so packaging the extension should stop here instead.
+ *
+ * Usage: node scripts/check-bundle.js   (run by `npm run build`)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MODELS_DIR = path.join(__dirname, '..', 'dark-pattern-detector-chrome-extension', 'models');
+const USE_DIR = path.join(MODELS_DIR, 'use-lite');
+const HEAD_FILE = path.join(MODELS_DIR, 'classifier', 'head.json');
+const DATASET = path.join(__dirname, '..', 'training', 'dark_patterns.jsonl');
+
+function checkFile(file, problems) {
+    const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    if (size === 0) problems.push(`missing ${path.relative(MODELS_DIR, file)}`);
+    return size > 0;
+}
+
+function checkEncoder(problems) {
+    const modelJson = path.join(USE_DIR, 'model.json');
+    if (checkFile(modelJson, problems)) {
+        try {
+            const manifest = JSON.parse(fs.readFileSync(modelJson, 'utf8'));
+            manifest.weightsManifest
+                .flatMap(group => group.paths)
+                .forEach(shard => checkFile(path.join(USE_DIR, shard), problems));
+        } catch (e) {
+            problems.push(`use-lite/model.json is not a model manifest (${e.message})`);
+        }
+    }
+    checkFile(path.join(USE_DIR, 'vocab.json'), problems);
+}
+
+/**
+ * The head must be well-formed (the same checks as loadClassifierHead in sandbox.js)
+ * and trained on the dataset as it is now
+ */
+function checkClassifierHead(problems) {
+    if (!checkFile(HEAD_FILE, problems)) return;
+
+    let head;
+    try {
+        head = JSON.parse(fs.readFileSync(HEAD_FILE, 'utf8'));
+    } catch (e) {
+        problems.push(`classifier/head.json is not valid JSON (${e.message})`);
+        return;
+    }
+    const valid = Array.isArray(head.labels) && head.labels.includes('benign') &&
+        head.weights?.length === head.labels.length && head.bias?.length === head.labels.length &&
+        head.weights.every(row => row.length === head.inputDim);
+    if (!valid) {
+        problems.push('classifier/head.json is malformed (labels, weights and bias do not match)');
+        return;
+    }
+
+    // Same hash as train-classifier.js stores
+    const datasetHash = crypto.createHash('sha256').update(fs.readFileSync(DATASET)).digest('hex');
+    if (head.datasetHash !== datasetHash) {
+        problems.push(`classifier/head.json was trained on a different version of training/dark_patterns.jsonl: retrain it`);
+    }
+}
+
+function main() {
+    const problems = [];
+    checkEncoder(problems);
+    checkClassifierHead(problems);
+
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(`[check-bundle] ${problem}`));
+        console.error('[check-bundle] Run `npm run fetch-model` for the encoder and `npm run train-classifier` for the head (see models/README.md).');
+        process.exit(1);
+    }
+    console.log('[check-bundle] All model files are in place.');
+}
+
+main();
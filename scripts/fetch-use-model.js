@@ -0,0 +1,60 @@
+/**
+ * DarkPatternDetector - Model Fetch Script
+ *
+ * Downloads the Universal Sentence Encoder (lite) weights and vocabulary into the
+ * extension's models/ folder, so the packaged extension never has to reach TFHub at
+ * runtime. The files are not kept in git: this runs as part of `npm run build`.
+ * Files already present are kept (pass --force to download them again).
+ *
+ * Usage: node scripts/fetch-use-model.js [--force]   (Node 18+)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MODEL_BASE = 'https://tfhub.dev/tensorflow/tfjs-model/universal-sentence-encoder-lite/1/default/1';
+const VOCAB_URL = 'https://storage.googleapis.com/tfjs-models/savedmodel/universal_sentence_encoder/vocab.json';
+const OUT_DIR = path.join(__dirname, '..', 'dark-pattern-detector-chrome-extension', 'models', 'use-lite');
+const FORCE = process.argv.includes('--force');
+
+async function download(url, file) {
+    const target = path.join(OUT_DIR, file);
+    if (!FORCE && fs.existsSync(target) && fs.statSync(target).size > 0) {
+        console.log(`[fetch-use-model] ${file} already present`);
+        return fs.readFileSync(target);
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url} -> HTTP ${response.status}`);
+    }
+    const buffer = Buffer.from(await response.arrayBuffer());
+    // Written under a temporary name first, so an interrupted download is not taken for a finished one
+    fs.writeFileSync(`${target}.part`, buffer);
+    fs.renameSync(`${target}.part`, target);
+    console.log(`[fetch-use-model] ${file} (${(buffer.length / 1024).toFixed(0)} KB)`);
+    return buffer;
+}
+
+async function main() {
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+
+    // TFHub serves raw files when asked for tfjs-format=file
+    const modelJson = await download(`${MODEL_BASE}/model.json?tfjs-format=file`, 'model.json');
+    const manifest = JSON.parse(modelJson.toString('utf8'));
+
+    for (const group of manifest.weightsManifest) {
+        for (const shard of group.paths) {
+            await download(`${MODEL_BASE}/${shard}?tfjs-format=file`, shard);
+        }
+    }
+
+    await download(VOCAB_URL, 'vocab.json');
+    console.log(`[fetch-use-model] Done. Files are in ${OUT_DIR}`);
+}
+
+main().catch(e => {
+    console.error('[fetch-use-model] Failed:', e.message);
+    console.error('[fetch-use-model] Without these files the extension only uses the regex rules.');
+    process.exit(1);
+});
@@ -0,0 +1,196 @@
+/**
+ * DarkPatternDetector - Classifier Training Script
+ *
+ * Trains a softmax (multinomial logistic regression) head on top of the bundled
+ * Universal Sentence Encoder embeddings, using the labeled examples in
+ * training/dark_patterns.jsonl (one {"text", "label"} object per line, including
+ * a "benign" class). The result is written to the extension's
+ * models/classifier/head.json, which the sandbox loads in initModel.
+ *
+ * head.json records a hash of the dataset it was trained on. `npm run build` runs
+ * this script after fetching the encoder; it returns early while the head matches
+ * the dataset (pass --force to retrain anyway). Commit head.json with the dataset
+ * change it belongs to (scripts/check-bundle.js fails while it is missing or stale).
+ *
+ * Usage (Node 18+, after `npm install` and `npm run fetch-model`):
+ *   npm run train-classifier   (or: node scripts/train-classifier.js [--force] [path/to/dataset.jsonl])
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'dark-pattern-detector-chrome-extension');
+const USE_DIR = path.join(EXTENSION_DIR, 'models', 'use-lite');
+const OUT_FILE = path.join(EXTENSION_DIR, 'models', 'classifier', 'head.json');
+const DEFAULT_DATASET = path.join(__dirname, '..', 'training', 'dark_patterns.jsonl');
+
+const EPOCHS = 400;
+const LEARNING_RATE = 0.5;
+const L2 = 1e-3;
+const HOLDOUT_EVERY = 5; // Every 5th example of a class is held out for evaluation
+
+function readDataset(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+        .filter(({ line }) => line && !line.startsWith('#'))
+        .map(({ line, number }) => {
+            const row = JSON.parse(line);
+            if (typeof row.text !== 'string' || typeof row.label !== 'string') {
+                throw new Error(`${file}:${number}: expected {"text": string, "label": string}`);
+            }
+            return row;
+        });
+}
+
+/**
+ * Hash of the dataset file, stored in head.json to tell whether the head is stale
+ */
+function hashDataset(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function isHeadCurrent(datasetHash) {
+    try {
+        return JSON.parse(fs.readFileSync(OUT_FILE, 'utf8')).datasetHash === datasetHash;
+    } catch (e) {
+        return false; // Missing or unreadable
+    }
+}
+
+async function loadEncoder() {
+    // Pure-JS TensorFlow (devDependencies): installs from npm without native binaries
+    const tf = require('@tensorflow/tfjs');
+    const use = require('@tensorflow-models/universal-sentence-encoder');
+
+    // Loaded from the same files the extension ships, so train and inference embeddings match
+    const manifest = JSON.parse(fs.readFileSync(path.join(USE_DIR, 'model.json'), 'utf8'));
+    const shards = manifest.weightsManifest.flatMap(group => group.paths)
+        .map(shard => fs.readFileSync(path.join(USE_DIR, shard)));
+    const weights = Buffer.concat(shards);
+
+    const encoder = new use.UniversalSentenceEncoder();
+    encoder.model = await tf.loadGraphModel(tf.io.fromMemory({
+        ...manifest,
+        weightSpecs: manifest.weightsManifest.flatMap(group => group.weights),
+        weightData: weights.buffer.slice(weights.byteOffset, weights.byteOffset + weights.length)
+    }));
+    encoder.tokenizer = new use.Tokenizer(JSON.parse(fs.readFileSync(path.join(USE_DIR, 'vocab.json'), 'utf8')));
+    return encoder;
+}
+
+function softmax(logits) {
+    const max = Math.max(...logits);
+    const exps = logits.map(l => Math.exp(l - max));
+    const sum = exps.reduce((a, b) => a + b, 0);
+    return exps.map(e => e / sum);
+}
+
+function predict(head, x) {
+    return softmax(head.weights.map((row, c) => row.reduce((sum, w, i) => sum + w * x[i], head.bias[c])));
+}
+
+// Full-batch gradient descent on cross-entropy with L2 regularisation
+function train(vectors, targets, classCount) {
+    const dim = vectors[0].length;
+    const head = {
+        weights: Array.from({ length: classCount }, () => new Array(dim).fill(0)),
+        bias: new Array(classCount).fill(0)
+    };
+
+    for (let epoch = 0; epoch < EPOCHS; epoch++) {
+        const gradW = Array.from({ length: classCount }, () => new Array(dim).fill(0));
+        const gradB = new Array(classCount).fill(0);
+        let loss = 0;
+
+        vectors.forEach((x, n) => {
+            const probs = predict(head, x);
+            loss -= Math.log(probs[targets[n]] + 1e-12);
+            for (let c = 0; c < classCount; c++) {
+                const error = probs[c] - (c === targets[n] ? 1 : 0);
+                gradB[c] += error;
+                for (let i = 0; i < dim; i++) gradW[c][i] += error * x[i];
+            }
+        });
+
+        for (let c = 0; c < classCount; c++) {
+            head.bias[c] -= LEARNING_RATE * gradB[c] / vectors.length;
+            for (let i = 0; i < dim; i++) {
+                head.weights[c][i] -= LEARNING_RATE * (gradW[c][i] / vectors.length + L2 * head.weights[c][i]);
+            }
+        }
+
+        if (epoch % 100 === 0 || epoch === EPOCHS - 1) {
+            console.log(`[train-classifier] epoch ${epoch} loss ${(loss / vectors.length).toFixed(4)}`);
+        }
+    }
+
+    return head;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const force = args.includes('--force');
+    const datasetFile = args.find(arg => !arg.startsWith('--')) || DEFAULT_DATASET;
+    const datasetHash = hashDataset(datasetFile);
+    if (!force && isHeadCurrent(datasetHash)) {
+        console.log('[train-classifier] head.json is up to date with the dataset');
+        return;
+    }
+
+    const rows = readDataset(datasetFile);
+    const labels = Array.from(new Set(rows.map(r => r.label))).sort();
+    if (!labels.includes('benign')) {
+        throw new Error('Dataset must contain a "benign" class');
+    }
+
+    console.log(`[train-classifier] ${rows.length} examples, ${labels.length} classes`);
+    labels.forEach(label => console.log(`[train-classifier]   ${label}: ${rows.filter(r => r.label === label).length}`));
+
+    const encoder = await loadEncoder();
+    const embeddings = await encoder.embed(rows.map(r => r.text));
+    const vectors = await embeddings.array();
+    embeddings.dispose();
+
+    // Hold out a slice of each class to report accuracy, then retrain on everything
+    const seenPerClass = {};
+    const split = rows.map(r => {
+        seenPerClass[r.label] = (seenPerClass[r.label] || 0) + 1;
+        return seenPerClass[r.label] % HOLDOUT_EVERY === 0 ? 'test' : 'train';
+    });
+    const targets = rows.map(r => labels.indexOf(r.label));
+    const pick = (set) => vectors.map((v, i) => [v, targets[i]]).filter((_, i) => split[i] === set);
+
+    const trainSet = pick('train');
+    const testSet = pick('test');
+    const evalHead = train(trainSet.map(p => p[0]), trainSet.map(p => p[1]), labels.length);
+    const correct = testSet.filter(([x, t]) => {
+        const probs = predict(evalHead, x);
+        return probs.indexOf(Math.max(...probs)) === t;
+    }).length;
+    const accuracy = testSet.length ? correct / testSet.length : null;
+    console.log(`[train-classifier] held-out accuracy: ${accuracy === null ? 'n/a' : (accuracy * 100).toFixed(1) + '%'}`);
+
+    const head = train(vectors, targets, labels.length);
+
+    fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
+    fs.writeFileSync(OUT_FILE, JSON.stringify({
+        version: 1,
+        encoder: 'universal-sentence-encoder-lite/1',
+        labels,
+        inputDim: vectors[0].length,
+        weights: head.weights.map(row => row.map(w => Number(w.toFixed(6)))),
+        bias: head.bias.map(b => Number(b.toFixed(6))),
+        trainedOn: rows.length,
+        datasetHash,
+        heldOutAccuracy: accuracy,
+        trainedAt: new Date().toISOString()
+    }));
+    console.log(`[train-classifier] Wrote ${OUT_FILE}`);
+}
+
+main().catch(e => {
+    console.error('[train-classifier] Failed:', e.message);
+    process.exit(1);
+});
@@ -0,0 +1,337 @@
+/**
+ * DarkPatternDetector - Headless Regression Harness
+ *
+ * Loads the content scripts into jsdom against the labeled fixture pages in
+ * test/fixtures/manifest.json, with chrome.* and SafeWebAI mocked, and reports
+ * precision and recall per category. The AI is reported as not ready, so this
+ * measures the regex / structural pipeline that runs when the sandbox is unavailable.
+ * Each page must report its findings exactly once, and expected entries with
+ * "matches" also check the highlighted phrases and their offsets.
+ *
+ * Usage:
+ *   npm test                         compare against test/baseline.json
+ *   npm run test:update-baseline     accept the current numbers as the new baseline
+ *   node test/harness.js --verbose   also list every finding, hit and miss
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'dark-pattern-detector-chrome-extension');
+const MANIFEST_FILE = path.join(__dirname, 'fixtures', 'manifest.json');
+const BASELINE_FILE = path.join(__dirname, 'baseline.json');
+
+// Same order as manifest.json's content_scripts, minus tf-stub.js (mocked below)
+const CONTENT_SCRIPTS = ['language.js', 'pattern-rules.js', 'regions.js', 'content.js'];
+const SCAN_TIMEOUT_MS = 10000;
+const QUIET_MS = 1500; // Longer than the observer's rescan debounce, so a follow-up report would show
+const TOLERANCE = 1e-4; // Baseline numbers are stored rounded to 4 decimals
+
+const args = process.argv.slice(2);
+const updateBaseline = args.includes('--update-baseline');
+const verbose = args.includes('--verbose');
+
+/**
+ * One chrome.storage area, callback and promise style
+ */
+function createStorageArea(initial = {}) {
+    const storage = { ...initial };
+    const get = (keys, callback) => {
+        const result = {};
+        (keys === null || keys === undefined ? Object.keys(storage) : [].concat(keys)).forEach(key => {
+            if (key in storage) result[key] = structuredClone(storage[key]);
+        });
+        if (callback) callback(result);
+        return Promise.resolve(result);
+    };
+    const set = (items, callback) => {
+        Object.assign(storage, structuredClone(items));
+        if (callback) callback();
+        return Promise.resolve();
+    };
+    const remove = (keys, callback) => {
+        [].concat(keys).forEach(key => delete storage[key]);
+        if (callback) callback();
+        return Promise.resolve();
+    };
+    return { get, set, remove };
+}
+
+/**
+ * chrome.* as far as the content script uses it. Storage starts empty, so the
+ * bundled patterns.txt is what gets tested. onMessage(message) sees everything the
+ * page sends and may return the reply; listeners holds what the page registered.
+ */
+function createChromeMock(onMessage = () => { }, storage = {}) {
+    const listeners = { message: [], storage: [] };
+
+    return {
+        runtime: {
+            id: 'harness',
+            getURL: (file) => `chrome-extension://harness/${file}`,
+            getManifest: () => JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8')),
+            sendMessage: (message) => Promise.resolve(onMessage(message)).then(reply => reply || {}),
+            onMessage: { addListener: (listener) => listeners.message.push(listener) }
+        },
+        storage: {
+            local: createStorageArea(storage),
+            session: createStorageArea(),
+            onChanged: { addListener: (listener) => listeners.storage.push(listener) }
+        },
+        listeners
+    };
+}
+
+/**
+ * jsdom has no layout engine: give every rendered element a box so isVisible()
+ * and the visual checks work, and treat display:none subtrees as hidden.
+ */
+function installLayoutShims(window) {
+    const { HTMLElement, Element } = window;
+
+    const isRendered = (el) => {
+        for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+            if (window.getComputedStyle(node).display === 'none' || node.hidden) return false;
+        }
+        return true;
+    };
+
+    Object.defineProperty(HTMLElement.prototype, 'offsetParent', {
+        configurable: true,
+        get() { return isRendered(this) ? this.ownerDocument.body : null; }
+    });
+    Element.prototype.getBoundingClientRect = function () {
+        if (!isRendered(this)) return { x: 0, y: 0, top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0 };
+        // Scale by font size so big buttons and small links still differ
+        const fontSize = parseFloat(window.getComputedStyle(this).fontSize) || 16;
+        const width = Math.max(10, (this.textContent || '').trim().length * fontSize * 0.5);
+        const height = fontSize * 1.4;
+        return { x: 0, y: 0, top: 0, left: 0, right: width, bottom: height, width, height };
+    };
+    Element.prototype.getClientRects = function () {
+        const rect = this.getBoundingClientRect();
+        return rect.width > 0 ? [rect] : [];
+    };
+    // Overlay highlights measure text ranges: one line box as wide as the selected text
+    window.Range.prototype.getClientRects = function () {
+        const container = this.commonAncestorContainer;
+        const element = container.nodeType === 1 ? container : container.parentElement;
+        if (!element || this.collapsed) return [];
+        const rect = element.getBoundingClientRect();
+        const width = rect.width && Math.max(10, this.toString().trim().length * rect.height / 2.8);
+        return width ? [{ ...rect, right: rect.left + width, width }] : [];
+    };
+    if (!('innerText' in HTMLElement.prototype)) {
+        Object.defineProperty(HTMLElement.prototype, 'innerText', {
+            configurable: true,
+            get() { return isRendered(this) ? this.textContent : ''; }
+        });
+    }
+    if (!window.CSS) window.CSS = {};
+    if (!window.CSS.escape) window.CSS.escape = (value) => String(value).replace(/[^a-zA-Z0-9_-]/g, ch => `\\${ch}`);
+}
+
+/**
+ * A jsdom page with the content scripts running in it. Options: url, onMessage and
+ * storage (see createChromeMock), ai (window.SafeWebAI, not ready by default).
+ */
+function loadPage(html, { url = 'https://fixtures.test/', onMessage, storage, ai } = {}) {
+    const virtualConsole = new VirtualConsole();
+    if (verbose) virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+
+    const dom = new JSDOM(html, {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+    installLayoutShims(window);
+
+    window.chrome = createChromeMock(onMessage, storage);
+    window.SafeWebAI = ai || { isReady: false, modelName: 'harness-stub' };
+    window.fetch = async (url) => {
+        const file = String(url).replace('chrome-extension://harness/', '');
+        const text = fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+        return { ok: true, text: async () => text, json: async () => JSON.parse(text) };
+    };
+    window.alert = () => { };
+
+    // One eval: content scripts share top-level const/let, which separate evals would not
+    window.eval(CONTENT_SCRIPTS.map(script => fs.readFileSync(path.join(EXTENSION_DIR, script), 'utf8')).join('\n;\n'));
+    return window;
+}
+
+/**
+ * Load one fixture, run the content scripts and collect every report they send
+ * until the page has been quiet for QUIET_MS
+ */
+async function scanFixture(file) {
+    const reports = [];
+    let resolveQuiet;
+    let quietTimer = null;
+    const quiet = new Promise(resolve => { resolveQuiet = resolve; });
+
+    const window = loadPage(fs.readFileSync(file, 'utf8'), {
+        url: `https://fixtures.test/${path.basename(file)}`,
+        onMessage: (message) => {
+            if (message.action !== 'resultsReady') return;
+            reports.push(message);
+            clearTimeout(quietTimer);
+            quietTimer = setTimeout(resolveQuiet, QUIET_MS);
+        }
+    });
+
+    // content.js scans on its own once patterns are loaded; wait for its report(s)
+    let scanTimer;
+    const timeout = new Promise((_, reject) => {
+        scanTimer = setTimeout(() => reject(new Error('Scan timed out')), SCAN_TIMEOUT_MS);
+    });
+    try {
+        await Promise.race([quiet, timeout]);
+    } finally {
+        clearTimeout(scanTimer);
+        clearTimeout(quietTimer);
+        window.close();
+    }
+    return reports;
+}
+
+const normalize = (text) => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Matched phrases of a finding against the expected ones, with offsets that
+ * must point at the phrase in the finding's text
+ */
+function checkMatches(finding, expected) {
+    const matches = finding.matches || [];
+    const texts = matches.map(match => match.text);
+    if (JSON.stringify(texts) !== JSON.stringify(expected)) {
+        return `${finding.type} matched ${JSON.stringify(texts)}, expected ${JSON.stringify(expected)}`;
+    }
+    const wrong = matches.find(match => finding.fullText.slice(match.start, match.end) !== match.text);
+    return wrong ? `${finding.type} offsets ${wrong.start}-${wrong.end} do not point at "${wrong.text}"` : null;
+}
+
+/**
+ * Greedy one-to-one matching of findings to expected entries
+ */
+function scoreFixture(findings, expected, stats, log, problems) {
+    const unmatched = expected.map(e => ({ ...e, text: normalize(e.text) }));
+
+    findings.forEach(finding => {
+        const text = normalize(finding.fullText || finding.text);
+        const index = unmatched.findIndex(e => e.type === finding.type && (text.includes(e.text) || e.text.includes(text)));
+        const category = stats[finding.type] = stats[finding.type] || { tp: 0, fp: 0, fn: 0 };
+
+        if (index !== -1) {
+            category.tp++;
+            const [entry] = unmatched.splice(index, 1);
+            log.push(`    ✓ ${finding.type}: "${text}"`);
+            const problem = entry.matches && checkMatches(finding, entry.matches);
+            if (problem) problems.push(problem);
+        } else {
+            category.fp++;
+            log.push(`    ✗ false positive ${finding.type}: "${text}"`);
+        }
+    });
+
+    unmatched.forEach(missed => {
+        const category = stats[missed.type] = stats[missed.type] || { tp: 0, fp: 0, fn: 0 };
+        category.fn++;
+        log.push(`    ✗ missed ${missed.type}: "${missed.text}"`);
+    });
+}
+
+function summarize(stats) {
+    const summary = {};
+    Object.keys(stats).sort().forEach(type => {
+        const { tp, fp, fn } = stats[type];
+        summary[type] = {
+            tp, fp, fn,
+            precision: tp + fp === 0 ? 1 : tp / (tp + fp),
+            recall: tp + fn === 0 ? 1 : tp / (tp + fn)
+        };
+    });
+    return summary;
+}
+
+function printTable(summary) {
+    const pct = (v) => `${(v * 100).toFixed(1)}%`.padStart(8);
+    console.log(`\n${'Category'.padEnd(22)}${'TP'.padStart(5)}${'FP'.padStart(5)}${'FN'.padStart(5)}${'Prec.'.padStart(8)}${'Recall'.padStart(8)}`);
+    Object.entries(summary).forEach(([type, s]) => {
+        console.log(`${type.padEnd(22)}${String(s.tp).padStart(5)}${String(s.fp).padStart(5)}${String(s.fn).padStart(5)}${pct(s.precision)}${pct(s.recall)}`);
+    });
+}
+
+/**
+ * A regression is any category whose precision or recall fell below the baseline
+ */
+function compareToBaseline(summary, baseline) {
+    const regressions = [];
+    Object.entries(baseline).forEach(([type, base]) => {
+        const current = summary[type] || { precision: 1, recall: 0 };
+        ['precision', 'recall'].forEach(metric => {
+            if (current[metric] + TOLERANCE < base[metric]) {
+                regressions.push(`${type} ${metric}: ${(base[metric] * 100).toFixed(1)}% -> ${(current[metric] * 100).toFixed(1)}%`);
+            }
+        });
+    });
+    return regressions;
+}
+
+async function main() {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+    const stats = {};
+    const failures = [];
+
+    for (const fixture of manifest.fixtures) {
+        const file = path.resolve(path.dirname(MANIFEST_FILE), fixture.file);
+        const reports = await scanFixture(file);
+        const findings = reports[reports.length - 1].results;
+        const log = [];
+        const problems = [];
+        if (reports.length !== 1) problems.push(`${reports.length} reports sent, expected 1`);
+        scoreFixture(findings, fixture.expected, stats, log, problems);
+
+        console.log(`${path.basename(file)}: ${findings.length} findings, ${fixture.expected.length} expected`);
+        if (verbose) log.forEach(line => console.log(line));
+        failures.push(...problems.map(problem => `${path.basename(file)}: ${problem}`));
+    }
+
+    const summary = summarize(stats);
+    printTable(summary);
+
+    if (failures.length) {
+        console.error(`\nFailed checks:\n  ${failures.join('\n  ')}`);
+        process.exitCode = 1;
+    }
+
+    if (updateBaseline || !fs.existsSync(BASELINE_FILE)) {
+        const baseline = {};
+        Object.entries(summary).forEach(([type, s]) => {
+            baseline[type] = { precision: Number(s.precision.toFixed(4)), recall: Number(s.recall.toFixed(4)) };
+        });
+        fs.writeFileSync(BASELINE_FILE, JSON.stringify(baseline, null, 4) + '\n');
+        console.log(`\nBaseline written to ${path.relative(process.cwd(), BASELINE_FILE)}`);
+        return;
+    }
+
+    const regressions = compareToBaseline(summary, JSON.parse(fs.readFileSync(BASELINE_FILE, 'utf8')));
+    if (regressions.length) {
+        console.error(`\nRegressions against baseline:\n  ${regressions.join('\n  ')}`);
+        process.exitCode = 1;
+    } else {
+        console.log('\nNo regressions against baseline.');
+    }
+}
+
+module.exports = { EXTENSION_DIR, createStorageArea, createChromeMock, loadPage };
+
+if (require.main === module) {
+    main().catch(e => {
+        console.error('[harness] Failed:', e);
+        process.exitCode = 1;
+    });
+}
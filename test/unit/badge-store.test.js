@@ -0,0 +1,150 @@
+/**
+ * Per-frame results store and the toolbar badge (background.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, sendRuntimeMessage, settle } = require('./helpers');
+
+const TAB = 5;
+
+function loadStore() {
+    const { chrome, run } = loadBackground();
+    const fromFrame = (frameId, request) => sendRuntimeMessage(chrome, request, { tab: { id: TAB }, frameId, url: `https://shop.test/frame-${frameId}` });
+    return {
+        chrome,
+        report: (frameId, types, fields = {}) => fromFrame(frameId, {
+            action: 'resultsReady',
+            results: types.map(type => ({ type, text: `${type} text` })),
+            hasScanned: true,
+            mode: frameId === 0 ? 'Hybrid AI' : 'Fallback Regex',
+            frameUrl: `https://shop.test/frame-${frameId}`,
+            ...fields
+        }),
+        fromFrame,
+        // Wait for the queued store updates and the badge calls after them
+        stored: async () => {
+            await run('frameQueue');
+            await settle();
+        },
+        getPageResults: () => sendRuntimeMessage(chrome, { action: 'getPageResults', tabId: TAB })
+    };
+}
+
+test('frames reporting together are merged, the top frame first', async () => {
+    const store = loadStore();
+    store.report(2, ['Urgency']);
+    store.report(0, ['Scarcity', 'Social Proof']);
+    await store.stored();
+
+    const page = await store.getPageResults();
+    assert.equal(page.count, 3);
+    assert.equal(page.frameCount, 2);
+    assert.equal(page.mode, 'Hybrid AI');
+    assert.deepEqual(Array.from(page.results, result => [result.frameId, result.type]), [[0, 'Scarcity'], [0, 'Social Proof'], [2, 'Urgency']]);
+    assert.equal(store.chrome.calls.badgeText[TAB], '3');
+});
+
+test('the badge color follows the most severe finding', async () => {
+    const store = loadStore();
+    store.report(0, ['Scarcity']);
+    await store.stored();
+    assert.equal(store.chrome.calls.badgeColor[TAB], '#f9a825');
+
+    store.report(1, ['Preselection']);
+    await store.stored();
+    assert.equal(store.chrome.calls.badgeColor[TAB], '#c62828');
+
+    // Findings in a lower-severity region count one step lower
+    store.report(1, [], { results: [{ type: 'Preselection', text: 'Newsletter', lowSeverity: true }] });
+    await store.stored();
+    assert.equal(store.chrome.calls.badgeColor[TAB], '#ef6c00');
+});
+
+test('progress of a scanning frame keeps its earlier findings', async () => {
+    const store = loadStore();
+    store.report(0, ['Scarcity']);
+    store.fromFrame(0, { action: 'scanProgress', progress: 40, found: 1 });
+    store.fromFrame(1, { action: 'scanProgress', progress: 10, found: 0 });
+    await store.stored();
+
+    const page = await store.getPageResults();
+    assert.equal(page.count, 1);
+    assert.equal(page.isScanning, true);
+    assert.equal(page.progress, 10);
+});
+
+test('a reloaded frame drops only its own findings', async () => {
+    const store = loadStore();
+    store.report(0, ['Scarcity'], { pageStartedAt: 1000 });
+    store.report(1, ['Urgency', 'Urgency'], { pageStartedAt: 1200 });
+    store.fromFrame(1, { action: 'frameLoaded', url: 'https://ads.test/', pageStartedAt: 1500 });
+    await store.stored();
+    assert.equal((await store.getPageResults()).count, 1);
+    assert.equal(store.chrome.calls.badgeText[TAB], '1');
+
+    // The top document's script starting again (same page) keeps the frames already reported
+    store.report(1, ['Urgency'], { pageStartedAt: 1500 });
+    store.fromFrame(0, { action: 'frameLoaded', url: 'https://shop.test/', pageStartedAt: 1000 });
+    await store.stored();
+    const page = await store.getPageResults();
+    assert.deepEqual(Array.from(page.results, result => [result.frameId, result.type]), [[1, 'Urgency']]);
+});
+
+test('a new top document drops the frames of the page before, not its own', async () => {
+    const store = loadStore();
+    store.report(0, ['Scarcity'], { pageStartedAt: 1000 });
+    store.report(1, ['Urgency'], { pageStartedAt: 1200 });
+    await store.stored();
+
+    // The next page's frame can report before the next page's own script starts
+    store.report(2, ['Social Proof'], { pageStartedAt: 5200 });
+    store.fromFrame(0, { action: 'frameLoaded', url: 'https://shop.test/next', pageStartedAt: 5000 });
+    await store.stored();
+    let page = await store.getPageResults();
+    assert.deepEqual(Array.from(page.results, result => [result.frameId, result.type]), [[2, 'Social Proof']]);
+    assert.equal(store.chrome.calls.badgeText[TAB], '1');
+
+    // A late report from a frame of the old page is ignored
+    store.report(1, ['Urgency'], { pageStartedAt: 1200 });
+    await store.stored();
+    page = await store.getPageResults();
+    assert.equal(page.count, 1);
+});
+
+test('a report from a new top document replaces the page even without frameLoaded', async () => {
+    const store = loadStore();
+    const fromDocument = (frameId, documentId, types, pageStartedAt) => sendRuntimeMessage(store.chrome, {
+        action: 'resultsReady',
+        results: types.map(type => ({ type, text: `${type} text` })),
+        hasScanned: true,
+        pageStartedAt
+    }, { tab: { id: TAB }, frameId, documentId, url: 'https://shop.test/' });
+
+    fromDocument(0, 'doc-a', ['Scarcity'], 1000);
+    fromDocument(1, 'frame-a', ['Urgency'], 1200);
+    fromDocument(0, 'doc-a', ['Scarcity', 'Urgency'], 1000);
+    await store.stored();
+    assert.equal((await store.getPageResults()).count, 3);
+
+    fromDocument(0, 'doc-b', ['Nagging'], 5000);
+    await store.stored();
+    const page = await store.getPageResults();
+    assert.deepEqual(Array.from(page.results, result => [result.frameId, result.type]), [[0, 'Nagging']]);
+});
+
+test('a tab that starts loading keeps its findings (single-page apps), a closed tab drops them', async () => {
+    const store = loadStore();
+    store.report(0, new Array(120).fill('Scarcity'));
+    await store.stored();
+    assert.equal(store.chrome.calls.badgeText[TAB], '99+');
+
+    store.chrome.tabs.onUpdated.fire(TAB, { status: 'loading', url: 'https://shop.test/?page=2' });
+    await store.stored();
+    assert.equal((await store.getPageResults()).count, 120);
+    assert.equal(store.chrome.calls.badgeText[TAB], '99+');
+
+    store.chrome.tabs.onRemoved.fire(TAB);
+    await store.stored();
+    assert.equal((await store.getPageResults()).frameCount, 0);
+});
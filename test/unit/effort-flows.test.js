@@ -0,0 +1,102 @@
+/**
+ * Sign-up and cancel flows per site (background.js recordFlowEvent, analyzeEffort)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, sendRuntimeMessage } = require('./helpers');
+
+const SITE = 'stream.test';
+const MINUTE = 60 * 1000;
+
+function loadFlows() {
+    const { chrome, run } = loadBackground();
+    const sender = { tab: { id: 3 }, frameId: 0 };
+    let at = Date.now() - 60 * MINUTE;
+
+    return {
+        chrome,
+        // Events are sent the way content.js reports them, without waiting for each other
+        send: (...events) => events.forEach(event => {
+            at += event.after || MINUTE;
+            sendRuntimeMessage(chrome, { action: 'flowEvent', site: event.site || SITE, event: { url: `https://${SITE}/`, ...event, at } }, sender);
+        }),
+        recorded: () => run('flowQueue'),
+        getEffort: () => sendRuntimeMessage(chrome, { action: 'getEffort', site: SITE })
+    };
+}
+
+const page = (path, fields = {}) => ({ kind: 'page', url: `https://${SITE}${path}`, ...fields });
+const click = (label, fields = {}) => ({ kind: 'click', label, ...fields });
+
+test('a short sign-up and a long cancellation are an obstruction', async () => {
+    const flows = loadFlows();
+    flows.send(
+        click('Sign up', { intent: 'signup' }),
+        { kind: 'submit', fields: 1 },
+        page('/welcome', { completed: 'signup' }),
+        click('Cancel subscription', { intent: 'cancel' }),
+        page('/account/cancel'),
+        click('Continue to cancel'),
+        page('/account/cancel/offer'),
+        click('No thanks, continue'),
+        page('/account/cancel/survey'),
+        click('Finish cancellation'),
+        page('/account/cancelled', { completed: 'cancel' })
+    );
+    await flows.recorded();
+
+    const effort = await flows.getEffort();
+    assert.equal(effort.signup.completed, true);
+    assert.equal(effort.cancel.completed, true);
+    assert.equal(effort.isObstruction, true);
+    assert.match(effort.reasons[0], /Cancelling took 9 steps, signing up 4/);
+});
+
+test('a cancellation routed to the phone is an obstruction on its own', async () => {
+    const flows = loadFlows();
+    flows.send(
+        click('Cancel membership', { intent: 'cancel' }),
+        page('/help/cancel', { channels: ['phone'] })
+    );
+    await flows.recorded();
+
+    const effort = await flows.getEffort();
+    assert.equal(effort.signup, null);
+    assert.deepEqual(Array.from(effort.reasons), ['Cancellation is routed to phone only.']);
+});
+
+test('a flow ends when the user goes idle or to another site', async () => {
+    const flows = loadFlows();
+    flows.send(
+        click('Cancel subscription', { intent: 'cancel' }),
+        page('/account/cancel'),
+        page('/account/cancel/offer', { after: 45 * MINUTE }), // Idle: not part of the flow
+        click('Cancel subscription', { intent: 'cancel' }),
+        page('/elsewhere', { site: 'other.test' }),
+        page('/account/cancel/survey') // The flow did not survive the visit elsewhere
+    );
+    await flows.recorded();
+
+    const { cancel } = await flows.getEffort();
+    assert.equal(cancel.pages, 1);
+    assert.equal(cancel.clicks, 1);
+    const { activeFlows } = await flows.chrome.storage.session.get(['activeFlows']);
+    assert.deepEqual({ ...activeFlows }, {});
+});
+
+test('an unfinished attempt does not replace a completed sign-up', async () => {
+    const flows = loadFlows();
+    flows.send(
+        click('Sign up', { intent: 'signup' }),
+        page('/welcome', { completed: 'signup' }),
+        click('Start free trial', { intent: 'signup' }),
+        page('/plans'),
+        page('/plans/annual')
+    );
+    await flows.recorded();
+
+    const { signup } = await flows.getEffort();
+    assert.equal(signup.completed, true);
+    assert.equal(signup.pages, 2);
+});
@@ -0,0 +1,73 @@
+/**
+ * "Not a dark pattern" feedback (content.js): rejected findings stay gone on later
+ * scans, for the structural detectors as well as the keyword ones
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { openPage, wait } = require('./helpers');
+
+const CONSENT_PAGE = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'consent.html'), 'utf8');
+
+function openConsentPage(storage = {}) {
+    const reports = [];
+    return openPage(CONSENT_PAGE, {
+        url: 'https://news.test/today',
+        storage,
+        onMessage: (message) => { if (message.action === 'resultsReady') reports.push(message); }
+    }).then(window => ({ window, reports, document: window.document }));
+}
+
+const consentFindings = (report) => report.results.filter(result => result.type === 'Consent');
+
+test('a rejected consent banner is not flagged again by a full rescan', async (t) => {
+    const { window, reports, document } = await openConsentPage();
+    t.after(() => window.close());
+    assert.equal(consentFindings(reports[reports.length - 1]).length, 1);
+
+    const banner = document.querySelector('[data-safe-web-type="Consent"]');
+    window.eval('submitFeedback')(banner, window.eval('resultsFromHighlight')(banner), 'rejected');
+    assert.equal(consentFindings(reports[reports.length - 1]).length, 0);
+
+    window.eval('scanAndHighlight')();
+    await wait(300);
+    assert.equal(consentFindings(reports[reports.length - 1]).length, 0);
+    assert.equal(document.querySelector('[data-safe-web-type="Consent"]'), null);
+
+    const stored = (await window.chrome.storage.local.get(['feedbackVerdicts'])).feedbackVerdicts;
+    assert.equal(stored[0].selector, '#onetrust-banner-sdk');
+});
+
+test('a rejection from an earlier visit holds when the banner text changed', async (t) => {
+    const { window, reports } = await openConsentPage({
+        feedbackVerdicts: [{
+            verdict: 'rejected',
+            type: 'Consent',
+            text: 'We and our 611 partners use cookies',
+            context: 'We and our 611 partners use cookies to personalise content.',
+            selector: '#onetrust-banner-sdk',
+            url: 'https://news.test/yesterday',
+            at: 0
+        }]
+    });
+    t.after(() => window.close());
+    assert.equal(consentFindings(reports[reports.length - 1]).length, 0);
+});
+
+test('the same banner on another site is still flagged', async (t) => {
+    const { window, reports } = await openConsentPage({
+        feedbackVerdicts: [{
+            verdict: 'rejected',
+            type: 'Consent',
+            text: 'We and our 611 partners use cookies',
+            context: 'We and our 611 partners use cookies to personalise content.',
+            selector: '#onetrust-banner-sdk',
+            url: 'https://other.test/',
+            at: 0
+        }]
+    });
+    t.after(() => window.close());
+    assert.equal(consentFindings(reports[reports.length - 1]).length, 1);
+});
@@ -0,0 +1,144 @@
+/**
+ * DarkPatternDetector - Unit Test Helpers
+ *
+ * Runs extension scripts outside the browser: the background worker, the offscreen
+ * bridge and protocol.js in a vm context with chrome.* stubbed, content scripts in
+ * jsdom through the harness's loadPage. Set VERBOSE=1 to see the scripts' console.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { EXTENSION_DIR, createStorageArea, loadPage } = require('../harness');
+
+const REPORT_TIMEOUT_MS = 10000;
+
+const silentConsole = { log() { }, info() { }, debug() { }, warn() { }, error() { } };
+
+function readScript(file) {
+    return fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+}
+
+/**
+ * Run scripts in one fresh context, as a worker or page would load them.
+ * run(code) evaluates code in that context (top-level const/let included).
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({
+        console: process.env.VERBOSE ? console : silentConsole,
+        // Timers of the scripts (e.g. request timeouts) must not keep the test run alive
+        setTimeout: (...args) => setTimeout(...args).unref(),
+        clearTimeout, queueMicrotask,
+        URL, structuredClone, Promise,
+        ...globals
+    });
+    context.self = context;
+    context.importScripts = (...scripts) => scripts.forEach(file => vm.runInContext(readScript(file), context, { filename: file }));
+    vm.runInContext(files.map(readScript).join('\n;\n'), context, { filename: files.join(' + ') });
+    return { context, run: (code) => vm.runInContext(code, context) };
+}
+
+/**
+ * A chrome.* event: listeners are kept so tests can fire it
+ */
+function createEvent() {
+    const listeners = [];
+    return {
+        listeners,
+        addListener: (listener) => listeners.push(listener),
+        fire: (...args) => listeners.map(listener => listener(...args))
+    };
+}
+
+/**
+ * chrome.* for background.js and offscreen.js. onMessage(message) answers what the
+ * script sends with chrome.runtime.sendMessage; calls records badge updates and
+ * offscreen document changes.
+ */
+function createExtensionChrome({ onMessage = () => undefined, offscreenOpen = false } = {}) {
+    const calls = { badgeText: {}, badgeColor: {}, created: 0, closed: 0 };
+    let open = offscreenOpen;
+
+    const chrome = {
+        runtime: {
+            id: 'unit',
+            getURL: (file) => `chrome-extension://unit/${file}`,
+            getContexts: async () => (open ? [{ contextType: 'OFFSCREEN_DOCUMENT' }] : []),
+            sendMessage: async (message) => {
+                const reply = await onMessage(message);
+                if (reply instanceof Error) throw reply;
+                return reply;
+            },
+            onMessage: createEvent(),
+            onInstalled: createEvent(),
+            onStartup: createEvent()
+        },
+        offscreen: {
+            createDocument: async () => { open = true; calls.created++; },
+            closeDocument: async () => { open = false; calls.closed++; }
+        },
+        storage: {
+            local: createStorageArea(),
+            session: createStorageArea(),
+            onChanged: createEvent()
+        },
+        tabs: {
+            onRemoved: createEvent(),
+            onUpdated: createEvent()
+        },
+        action: {
+            setBadgeText: async ({ tabId, text }) => { calls.badgeText[tabId] = text; },
+            setBadgeBackgroundColor: async ({ tabId, color }) => { calls.badgeColor[tabId] = color; }
+        },
+        calls
+    };
+    return chrome;
+}
+
+/**
+ * Deliver a runtime message to the script's onMessage listeners. Resolves with the
+ * reply, or undefined if no listener answers.
+ */
+function sendRuntimeMessage(chrome, request, sender = {}) {
+    return new Promise(resolve => {
+        let async = false;
+        chrome.runtime.onMessage.listeners.forEach(listener => {
+            if (listener(request, sender, resolve) === true) async = true;
+        });
+        if (!async) setImmediate(() => resolve(undefined));
+    });
+}
+
+/**
+ * background.js with a fresh chrome stub (options: see createExtensionChrome)
+ */
+function loadBackground(options = {}) {
+    const chrome = createExtensionChrome(options);
+    return { chrome, ...loadScripts(['background.js'], { chrome, ...options.globals }) };
+}
+
+/**
+ * loadPage (see test/harness.js), resolved once the content script has reported its first scan
+ */
+async function openPage(html, options = {}) {
+    let reported;
+    const firstReport = new Promise((resolve, reject) => {
+        reported = resolve;
+        setTimeout(() => reject(new Error('No resultsReady from the page')), REPORT_TIMEOUT_MS).unref();
+    });
+    const window = loadPage(html, {
+        ...options,
+        onMessage: (message) => {
+            if (message.action === 'resultsReady') reported(message);
+            return options.onMessage?.(message);
+        }
+    });
+    await firstReport;
+    return window;
+}
+
+// Let queued promise chains (storage queues etc.) run to the end
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { loadScripts, createEvent, createExtensionChrome, loadBackground, openPage, sendRuntimeMessage, settle, wait };
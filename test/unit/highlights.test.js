@@ -0,0 +1,69 @@
+/**
+ * Overlay highlights and "Clear Highlights" (content.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage, wait } = require('./helpers');
+
+const PAGE = '<div id="offer"><p id="stock">Great sofa. Only 2 left in stock! Ships tomorrow.</p></div>';
+
+async function openOfferPage(highlightMode) {
+    const reports = [];
+    const window = await openPage(PAGE, {
+        url: 'https://shop.test/sofa',
+        storage: { highlightMode },
+        onMessage: (message) => { if (message.action === 'resultsReady') reports.push(message); }
+    });
+    return { window, reports, document: window.document };
+}
+
+// Deliver a popup command the way chrome.tabs.sendMessage would
+function command(window, action) {
+    return new Promise(resolve => window.chrome.listeners.message.forEach(listener => listener({ action }, {}, resolve)));
+}
+
+test('overlay mode draws boxes without touching the page', async (t) => {
+    const { window, reports, document } = await openOfferPage('overlay');
+    t.after(() => window.close());
+
+    assert.equal(reports[0].count, 1);
+    assert.equal(document.getElementById('stock').childNodes.length, 1); // The text node was not split
+    assert.equal(document.querySelectorAll('.safe-web-highlight').length, 0);
+    const overlay = document.querySelector('.safe-web-overlay');
+    assert.equal(overlay.dataset.safeWebType, 'Scarcity');
+    assert.equal(reports[0].results[0].selector, '#stock');
+});
+
+test('clearing removes overlays and findings, and automatic rescans keep them cleared', async (t) => {
+    const { window, reports, document } = await openOfferPage('overlay');
+    t.after(() => window.close());
+
+    assert.deepEqual({ ...await command(window, 'clearHighlights') }, { cleared: true });
+    assert.equal(document.querySelectorAll('.safe-web-overlay').length, 0);
+    assert.equal(reports[reports.length - 1].count, 0);
+
+    // The page changes: the observer rescans, but the cleared text stays unhighlighted
+    document.getElementById('offer').insertAdjacentHTML('beforeend', '<p>Free delivery on all orders.</p>');
+    await wait(1200);
+    assert.equal(document.querySelectorAll('.safe-web-overlay').length, 0);
+
+    // A manual scan brings it back
+    command(window, 'scan');
+    await wait(300);
+    assert.equal(document.querySelectorAll('.safe-web-overlay').length, 1);
+    assert.equal(reports[reports.length - 1].count, 1);
+});
+
+test('clearing inline highlights puts the original text back together', async (t) => {
+    const { window, document } = await openOfferPage('inline');
+    t.after(() => window.close());
+
+    const stock = document.getElementById('stock');
+    assert.equal(stock.querySelector('.safe-web-highlight').textContent, 'Only 2 left');
+
+    await command(window, 'clearHighlights');
+    assert.equal(stock.querySelectorAll('.safe-web-highlight').length, 0);
+    assert.equal(stock.childNodes.length, 1);
+    assert.equal(stock.textContent, 'Great sofa. Only 2 left in stock! Ships tomorrow.');
+});
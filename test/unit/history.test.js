@@ -0,0 +1,131 @@
+/**
+ * Page visit history: records (history-store.js createHistoryVisit) and what the
+ * background worker writes (background.js recordHistory). IndexedDB itself is
+ * replaced by a list of the written visits.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadBackground, sendRuntimeMessage, settle } = require('./helpers');
+
+const { context: historyStore } = loadScripts(['history-store.js']);
+
+test('a visit keeps counts and a few examples per category, without the query string', () => {
+    const visit = historyStore.createHistoryVisit({
+        id: '4:1700000000000',
+        url: 'https://shop.test/checkout?session=secret#pay',
+        title: 'Checkout',
+        date: 1700000000000,
+        results: [
+            { type: 'Scarcity', text: 'Only 2 left' },
+            { type: 'Scarcity', text: 'Only 2 left' },
+            { type: 'Scarcity', text: 'Only   3\nleft' },
+            { type: 'Scarcity', text: 'Low stock' },
+            { type: 'Scarcity', text: 'Almost gone' },
+            { type: 'Urgency', text: 'Ends', fullText: 'Sale ends tonight' + ' soon'.repeat(40) }
+        ]
+    });
+
+    assert.equal(visit.url, 'https://shop.test/checkout');
+    assert.equal(visit.domain, 'shop.test');
+    assert.equal(visit.count, 6);
+    assert.deepEqual({ ...visit.categories }, { Scarcity: 5, Urgency: 1 });
+    assert.deepEqual(Array.from(visit.examples.Scarcity), ['Only 2 left', 'Only 3 left', 'Low stock']);
+    assert.equal(visit.examples.Urgency[0].length, 160);
+    assert.ok(visit.examples.Urgency[0].startsWith('Sale ends tonight'));
+});
+
+/**
+ * background.js whose history writes are collected instead of stored
+ */
+function loadHistory(storage = {}) {
+    const { chrome, context, run } = loadBackground();
+    const visits = [];
+    const deleted = [];
+    const pruned = [];
+    context.putHistoryVisit = async (visit) => { visits.push(visit); };
+    context.deleteHistoryVisit = async (id) => { deleted.push(id); };
+    context.pruneHistory = async (days) => { pruned.push(days); };
+    chrome.storage.local.set(storage);
+
+    const report = (tab, frameId, results, fields = {}) => sendRuntimeMessage(chrome, {
+        action: 'resultsReady',
+        results,
+        hasScanned: true,
+        mode: 'Fallback Regex',
+        frameUrl: `https://shop.test/${frameId === 0 ? 'checkout?cart=42' : 'widget'}`,
+        pageStartedAt: 1700000000000,
+        ...fields
+    }, { tab: { id: 4, title: 'Checkout', incognito: false, ...tab }, frameId });
+
+    return {
+        visits,
+        deleted,
+        pruned,
+        report,
+        recorded: async () => {
+            await run('frameQueue');
+            await settle();
+        }
+    };
+}
+
+test('each scanned page visit is one record, rewritten as more findings come in', async () => {
+    const history = loadHistory();
+    history.report({}, 0, [{ type: 'Scarcity', text: 'Only 2 left' }]);
+    await history.recorded();
+    history.report({}, 1, [{ type: 'Urgency', text: 'Ends tonight' }]);
+    await history.recorded();
+
+    assert.equal(history.visits.length, 2);
+    const [first, latest] = history.visits;
+    assert.equal(first.id, latest.id);
+    assert.equal(latest.id, '4:1700000000000');
+    assert.equal(latest.url, 'https://shop.test/checkout');
+    assert.equal(latest.title, 'Checkout');
+    assert.deepEqual({ ...latest.categories }, { Scarcity: 1, Urgency: 1 });
+    assert.deepEqual(history.pruned, [90]); // Pruned at most once an hour
+});
+
+test('private windows, turned-off history and non-web pages are not recorded', async () => {
+    const incognito = loadHistory();
+    incognito.report({ incognito: true }, 0, [{ type: 'Scarcity', text: 'Only 2 left' }]);
+    await incognito.recorded();
+    assert.equal(incognito.visits.length, 0);
+
+    const turnedOff = loadHistory({ historyRetentionDays: 0 });
+    turnedOff.report({}, 0, [{ type: 'Scarcity', text: 'Only 2 left' }]);
+    await turnedOff.recorded();
+    assert.equal(turnedOff.visits.length, 0);
+    assert.equal(turnedOff.pruned.length, 0);
+
+    const localFile = loadHistory();
+    localFile.report({}, 0, [{ type: 'Scarcity', text: 'Only 2 left' }], { frameUrl: 'file:///home/me/page.html' });
+    await localFile.recorded();
+    assert.equal(localFile.visits.length, 0);
+});
+
+test('pages without findings are not recorded, and a visit whose findings went away is deleted', async () => {
+    const history = loadHistory();
+    history.report({}, 0, []);
+    await history.recorded();
+    assert.equal(history.visits.length, 0);
+
+    history.report({}, 0, [{ type: 'Scarcity', text: 'Only 2 left' }]);
+    await history.recorded();
+    assert.equal(history.visits.length, 1);
+
+    // The user rejected the only finding
+    history.report({}, 0, []);
+    await history.recorded();
+    assert.equal(history.visits.length, 1);
+    assert.deepEqual(history.deleted, ['4:1700000000000', '4:1700000000000']);
+});
+
+test('the retention setting is used for pruning', async () => {
+    const history = loadHistory({ historyRetentionDays: 7 });
+    history.report({}, 0, [{ type: 'Scarcity', text: 'Only 2 left' }]);
+    await history.recorded();
+    assert.equal(history.visits.length, 1);
+    assert.deepEqual(history.pruned, [7]);
+});
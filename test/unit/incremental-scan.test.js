@@ -0,0 +1,83 @@
+/**
+ * Rescans after DOM changes (content.js observer and incremental scanAndHighlight)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage, wait } = require('./helpers');
+
+const RESCAN_WAIT_MS = 1200; // Observer debounce (750 ms) plus the scan
+
+const PAGE = `
+    <div id="feed"><p>Great sofa for <span>$499</span>. Only 2 left in stock!</p></div>
+    <p id="timer">00:10:00</p>`;
+
+async function openFeedPage() {
+    const messages = [];
+    const window = await openPage(PAGE, {
+        url: 'https://shop.test/sofa',
+        onMessage: (message) => { messages.push(message); }
+    });
+    const sent = (action) => messages.filter(message => message.action === action);
+
+    // Count the rescans the observer starts
+    const rescans = [];
+    const scanAndHighlight = window.scanAndHighlight;
+    window.scanAndHighlight = (roots) => {
+        if (roots) rescans.push(roots);
+        return scanAndHighlight(roots);
+    };
+    return { window, document: window.document, sent, rescans };
+}
+
+test('added content with a dark pattern is reported once, next to the earlier findings', async (t) => {
+    const { window, document, sent, rescans } = await openFeedPage();
+    t.after(() => window.close());
+    const before = sent('resultsReady').length;
+    const progress = sent('scanProgress').length;
+
+    document.getElementById('feed').insertAdjacentHTML('beforeend', '<p>Flash sale, today only!</p>');
+    await wait(RESCAN_WAIT_MS);
+
+    assert.equal(rescans.length, 1);
+    const reports = sent('resultsReady');
+    assert.equal(reports.length, before + 1);
+    const types = Array.from(reports[reports.length - 1].results, result => result.type).sort();
+    assert.deepEqual(types, ['Scarcity', 'Urgency']);
+    assert.equal(sent('scanProgress').length, progress); // Only full scans show progress
+});
+
+test('added content without findings or prices sends nothing', async (t) => {
+    const { window, document, sent, rescans } = await openFeedPage();
+    t.after(() => window.close());
+    const reports = sent('resultsReady').length;
+    const snapshots = sent('priceSnapshot').length;
+    assert.equal(snapshots, 1);
+
+    document.getElementById('feed').insertAdjacentHTML('beforeend', '<p>Free delivery on all orders.</p>');
+    await wait(RESCAN_WAIT_MS);
+
+    assert.equal(rescans.length, 1);
+    assert.equal(sent('resultsReady').length, reports);
+    assert.equal(sent('priceSnapshot').length, snapshots);
+
+    // A new price does update the timeline
+    document.getElementById('feed').insertAdjacentHTML('beforeend', '<p>Delivery fee: $49</p>');
+    await wait(RESCAN_WAIT_MS);
+    assert.equal(sent('priceSnapshot').length, snapshots + 1);
+});
+
+test('a ticking countdown does not cause rescans, before or after it was evaluated', async (t) => {
+    const { window, document, sent, rescans } = await openFeedPage();
+    t.after(() => window.close());
+
+    const timer = document.getElementById('timer');
+    let seconds = 600;
+    const tick = setInterval(() => { timer.textContent = `00:0${Math.floor(--seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`; }, 1000);
+    t.after(() => clearInterval(tick));
+
+    await wait(5000 + RESCAN_WAIT_MS + 500); // TIMER_WATCH_MS, then ticks of the live countdown
+    const reports = sent('resultsReady');
+    assert.ok(reports[reports.length - 1].results.some(result => result.selector === '#timer' && result.type === 'Urgency'));
+    assert.equal(rescans.length, 0);
+});
@@ -0,0 +1,97 @@
+/**
+ * Offscreen document lifecycle (background.js): creating it once, recreating a dead
+ * sandbox, and the model status reported to the popup
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadBackground, sendRuntimeMessage, settle } = require('./helpers');
+
+const { context: protocol, run: runProtocol } = loadScripts(['protocol.js']);
+const { createMessage, protocolError } = protocol;
+const PROTOCOL_ERRORS = runProtocol('PROTOCOL_ERRORS');
+
+/**
+ * background.js with a fake offscreen document: answer(message, n) replies to the
+ * nth message of that action
+ */
+function loadLifecycle(answer, options = {}) {
+    const sent = [];
+    const background = loadBackground({
+        ...options,
+        onMessage: (message) => {
+            sent.push(message);
+            const n = sent.filter(other => other.action === message.action).length;
+            return answer(message, n);
+        }
+    });
+    const { run } = background;
+    return {
+        ...background,
+        sent: (action) => sent.filter(message => message.action === action),
+        sendToOffscreen: (action, payload) => run('sendToOffscreen')(createMessage(action, payload))
+    };
+}
+
+test('concurrent requests create one offscreen document and sync feedback to it', async () => {
+    const lifecycle = loadLifecycle(() => ({ pong: true }));
+    await Promise.all([lifecycle.sendToOffscreen('ping'), lifecycle.sendToOffscreen('ping')]);
+
+    assert.equal(lifecycle.chrome.calls.created, 1);
+    assert.equal(lifecycle.sent('setFeedback').length, 1);
+});
+
+test('a document that does not answer is recreated and the request sent again', async () => {
+    const lifecycle = loadLifecycle((message, n) => (n === 1 ? new Error('Receiving end does not exist') : { pong: true }), { offscreenOpen: true });
+    await lifecycle.chrome.storage.session.set({ modelStatus: { state: 'ready' } });
+
+    const response = await lifecycle.sendToOffscreen('ping');
+    assert.equal(response.pong, true);
+    assert.equal(lifecycle.chrome.calls.closed, 1);
+    assert.equal(lifecycle.chrome.calls.created, 1);
+    assert.equal(lifecycle.sent('ping').length, 2);
+    // The new sandbox reports its own state from scratch
+    assert.equal((await lifecycle.chrome.storage.session.get(['modelStatus'])).modelStatus, null);
+});
+
+test('a timeout only counts as a dead sandbox once the model was ready', async () => {
+    const timeoutOnce = (message, n) => (n === 1 ? protocolError(PROTOCOL_ERRORS.TIMEOUT, 'Sandbox timeout') : { results: [] });
+
+    const loading = loadLifecycle(timeoutOnce, { offscreenOpen: true });
+    await loading.chrome.storage.session.set({ modelStatus: { state: 'downloading' } });
+    const slow = await loading.sendToOffscreen('predictBatch', { texts: ['Only 2 left'] });
+    assert.equal(slow.code, PROTOCOL_ERRORS.TIMEOUT);
+    assert.equal(loading.chrome.calls.closed, 0);
+
+    const ready = loadLifecycle(timeoutOnce, { offscreenOpen: true });
+    await ready.chrome.storage.session.set({ modelStatus: { state: 'ready' } });
+    const retried = await ready.sendToOffscreen('predictBatch', { texts: ['Only 2 left'] });
+    assert.deepEqual(Array.from(retried.results), []);
+    assert.equal(ready.chrome.calls.closed, 1);
+    assert.equal(ready.chrome.calls.created, 1);
+});
+
+test('asking for the model status without a document starts the warm-up', async () => {
+    const lifecycle = loadLifecycle((message) => (message.action === 'initModel' ? { success: true, model: 'USE' } : {}));
+    const status = await sendRuntimeMessage(lifecycle.chrome, createMessage('getModelStatus'), {});
+    assert.equal(status.state, 'not_started');
+    assert.equal(status.ready, false);
+
+    await settle();
+    assert.equal(lifecycle.chrome.calls.created, 1);
+    assert.equal(lifecycle.sent('initModel').length, 1);
+});
+
+test('model state changes are only taken from the offscreen document', async () => {
+    const lifecycle = loadLifecycle(() => ({}));
+    const change = (state) => createMessage('modelStateChanged', { status: { state, progress: 0, error: null, ready: false } });
+
+    sendRuntimeMessage(lifecycle.chrome, change('failed'), { url: 'chrome-extension://unit/popup.html' });
+    sendRuntimeMessage(lifecycle.chrome, change('failed'), { url: 'https://shop.test/', tab: { id: 1 } });
+    await settle();
+    assert.equal((await lifecycle.chrome.storage.session.get(['modelStatus'])).modelStatus, undefined);
+
+    sendRuntimeMessage(lifecycle.chrome, change('embedding'), { url: 'chrome-extension://unit/offscreen.html' });
+    await settle();
+    assert.equal((await lifecycle.chrome.storage.session.get(['modelStatus'])).modelStatus.state, 'embedding');
+});
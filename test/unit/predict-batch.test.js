@@ -0,0 +1,103 @@
+/**
+ * Batched AI verification: the client stub (lib/tf-stub.js), the content script's
+ * verdict cache (content.js predictCached) and the sandbox's request queue (sandbox.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createExtensionChrome, openPage, settle } = require('./helpers');
+
+const verdict = (text) => ({ isDarkPattern: true, score: 0.9, type: 'Scarcity', text });
+
+/**
+ * tf-stub.js talking to a fake background worker (reply(message) answers predictBatch)
+ */
+function loadStub(reply) {
+    const sent = [];
+    const chrome = createExtensionChrome({
+        onMessage: (message) => {
+            sent.push(message);
+            return message.action === 'predictBatch' ? reply(message) : { state: 'failed', ready: false, error: 'No model' };
+        }
+    });
+    const { context, run } = loadScripts(['protocol.js', 'lib/tf-stub.js'], { chrome, window: {} });
+    return { sent, SafeWebAI: context.window.SafeWebAI, PROTOCOL_ERRORS: run('PROTOCOL_ERRORS') };
+}
+
+test('a batch of texts is one predictBatch request', async () => {
+    const { sent, SafeWebAI } = loadStub((message) => ({ results: message.texts.map(verdict) }));
+    const results = await SafeWebAI.predictDarkPatterns(['Only 2 left', 'Sale ends soon']);
+
+    const batches = sent.filter(message => message.action === 'predictBatch');
+    assert.equal(batches.length, 1);
+    assert.deepEqual(Array.from(batches[0].texts), ['Only 2 left', 'Sale ends soon']);
+    assert.deepEqual(Array.from(results, result => result.text), ['Only 2 left', 'Sale ends soon']);
+});
+
+test('a failed batch gives every text a fallback entry', async () => {
+    const unreachable = loadStub(() => new Error('Could not establish connection'));
+    const results = await unreachable.SafeWebAI.predictDarkPatterns(['a', 'b']);
+    assert.equal(results.length, 2);
+    results.forEach(result => {
+        assert.equal(result.fallback, true);
+        assert.equal(result.code, unreachable.PROTOCOL_ERRORS.SANDBOX_UNAVAILABLE);
+    });
+
+    const malformed = loadStub(() => ({ results: 'none' }));
+    const [result] = await malformed.SafeWebAI.predictDarkPatterns(['a']);
+    assert.equal(result.fallback, true);
+    assert.equal(result.code, malformed.PROTOCOL_ERRORS.INVALID_MESSAGE);
+});
+
+test('the content script asks for each context once and keeps only real verdicts', async (t) => {
+    const batches = [];
+    let fail = false;
+    const window = await openPage('<p>Nothing to see here.</p>', {
+        ai: {
+            isReady: true,
+            predictDarkPatterns: async (texts) => {
+                batches.push(Array.from(texts));
+                return texts.map(text => (fail ? { error: 'Sandbox timeout', fallback: true } : verdict(text)));
+            }
+        }
+    });
+    t.after(() => window.close());
+    const predictCached = window.eval('predictCached');
+
+    const first = await predictCached(['Only 2 left', 'Sale ends soon', 'Only 2 left']);
+    assert.deepEqual(Array.from(first, result => result.text), ['Only 2 left', 'Sale ends soon', 'Only 2 left']);
+    assert.deepEqual(batches, [['Only 2 left', 'Sale ends soon']]);
+
+    // Cached contexts are not sent again
+    fail = true;
+    const second = await predictCached(['Sale ends soon', 'Just for you']);
+    assert.equal(second[0].text, 'Sale ends soon');
+    assert.equal(second[1].fallback, true);
+    assert.deepEqual(batches[1], ['Just for you']);
+
+    // Failures are asked again
+    fail = false;
+    await predictCached(['Just for you']);
+    assert.deepEqual(batches[2], ['Just for you']);
+});
+
+test('the sandbox runs predictions one at a time and skips cancelled ones', async () => {
+    const { run } = loadScripts(['protocol.js', 'language.js', 'sandbox.js'], { window: { addEventListener() { } } });
+    const enqueuePrediction = run('enqueuePrediction');
+    const PROTOCOL_ERRORS = run('PROTOCOL_ERRORS');
+
+    const order = [];
+    let finishFirst;
+    const first = enqueuePrediction('1:1', () => new Promise(resolve => { order.push('1:1'); finishFirst = resolve; }));
+    const second = enqueuePrediction('1:2', async () => { order.push('1:2'); return { results: [] }; });
+    const third = enqueuePrediction('1:3', async () => { order.push('1:3'); return { results: [] }; });
+    await settle();
+
+    // 1:1 is running, so only the queued 1:2 can still be cancelled
+    assert.equal(run('cancelPredictions')(['1:1', '1:2', '9:9']).cancelled, 1);
+    finishFirst({ results: [] });
+
+    assert.equal((await second).code, PROTOCOL_ERRORS.CANCELLED);
+    await Promise.all([first, third]);
+    assert.deepEqual(order, ['1:1', '1:3']);
+});
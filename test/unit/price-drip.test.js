@@ -0,0 +1,86 @@
+/**
+ * Checkout price timelines (background.js) and price extraction (content.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, openPage, sendRuntimeMessage } = require('./helpers');
+
+function snapshot(url, fields = {}) {
+    return {
+        url: `https://shop.test${url}`,
+        origin: 'https://shop.test',
+        at: Date.now(),
+        currency: '$',
+        price: fields.total ?? 20,
+        total: null,
+        subtotal: null,
+        items: [],
+        isCheckout: url !== '/product',
+        ...fields
+    };
+}
+
+const { run } = loadBackground();
+const analyzePriceDrip = (timeline) => run('analyzePriceDrip')(timeline);
+
+test('a larger quantity without new fees is not a hidden cost', () => {
+    assert.equal(analyzePriceDrip([
+        snapshot('/product', { price: 20 }),
+        snapshot('/checkout', { total: 40, items: [{ label: 'Concert ticket x2', amount: 40 }] })
+    ]), null);
+});
+
+test('a total grown by fees that appeared late is flagged', () => {
+    const drip = analyzePriceDrip([
+        snapshot('/product', { price: 20 }),
+        snapshot('/cart', { total: 20 }),
+        snapshot('/checkout', { total: 24.5, items: [{ label: 'Service fee', amount: 3 }, { label: 'Processing fee', amount: 1.5 }] })
+    ]);
+    assert.equal(drip.firstPrice, 20);
+    assert.equal(drip.increase, 4.5);
+    assert.deepEqual(drip.fees.map(fee => fee.label), ['Service fee', 'Processing fee']);
+});
+
+test('extra items are measured from the subtotal, so only the late fee counts', () => {
+    const drip = analyzePriceDrip([
+        snapshot('/product', { price: 20 }),
+        snapshot('/checkout', { total: 65, subtotal: 60, items: [{ label: 'Booking fee', amount: 5 }] })
+    ]);
+    assert.equal(drip.firstPrice, 60);
+    assert.equal(drip.increase, 5);
+});
+
+test('fees shown from the first page on are not hidden', () => {
+    assert.equal(analyzePriceDrip([
+        snapshot('/cart', { total: 25, items: [{ label: 'Shipping', amount: 5 }] }),
+        snapshot('/checkout', { total: 25, items: [{ label: 'Shipping', amount: 5 }] })
+    ]), null);
+});
+
+test('snapshots sent at the same time all reach the timeline', async () => {
+    const { chrome, run } = loadBackground();
+    const sender = { tab: { id: 7 }, frameId: 0 };
+    await Promise.all(['/product', '/cart', '/checkout'].map(url =>
+        sendRuntimeMessage(chrome, { action: 'priceSnapshot', snapshot: snapshot(url, { total: url === '/product' ? null : 20 }) }, sender)
+    ));
+
+    const timelines = await run('getPriceTimelines')();
+    assert.deepEqual(timelines[7].map(entry => new URL(entry.url).pathname), ['/product', '/cart', '/checkout']);
+});
+
+test('prices with the currency symbol after the amount are read', async (t) => {
+    const window = await openPage(`
+        <table>
+            <tr><td>Subtotal</td> <td>9,99 €</td></tr>
+            <tr><td>Servicegebühr (service fee)</td> <td>2,50&nbsp;€</td></tr>
+            <tr><td>Total</td> <td>12,49&nbsp;€</td></tr>
+        </table>`, { url: 'https://shop.test/checkout' });
+    t.after(() => window.close());
+
+    const prices = window.eval('extractPriceSnapshot(document.body)');
+    assert.equal(prices.currency, '€');
+    assert.equal(prices.subtotal, 9.99);
+    assert.equal(prices.total, 12.49);
+    assert.deepEqual(Array.from(prices.items, item => [item.label, item.amount]), [['Servicegebühr (service fee)', 2.5]]);
+});
@@ -0,0 +1,96 @@
+/**
+ * protocol.js message validation, and the sender checks of the offscreen bridge
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createExtensionChrome, sendRuntimeMessage } = require('./helpers');
+
+const { context: protocol, run } = loadScripts(['protocol.js']);
+const { createMessage, validateRequest, validateResponse } = protocol;
+const PROTOCOL_ERRORS = run('PROTOCOL_ERRORS');
+
+test('a well-formed request is valid', () => {
+    assert.equal(validateRequest(createMessage('predictBatch', { texts: ['Only 2 left'], requestId: '1:1' })), null);
+    assert.equal(validateRequest(createMessage('ping')), null);
+});
+
+test('an unknown action is rejected', () => {
+    const error = validateRequest(createMessage('formatDisk'));
+    assert.equal(error.code, PROTOCOL_ERRORS.UNKNOWN_ACTION);
+});
+
+test('a message from another protocol version is rejected', () => {
+    const error = validateRequest({ ...createMessage('ping'), v: run('PROTOCOL_VERSION') + 1 });
+    assert.equal(error.code, PROTOCOL_ERRORS.VERSION_MISMATCH);
+    assert.equal(validateRequest({ action: 'ping' }).code, PROTOCOL_ERRORS.VERSION_MISMATCH);
+});
+
+test('fields of the wrong type are rejected', () => {
+    const cases = [
+        createMessage('predict', { text: 42 }),
+        createMessage('predictBatch', { texts: 'Only 2 left' }),
+        createMessage('predictBatch', { texts: ['ok', 3] }),
+        createMessage('predict', { text: 'Hurry', requestId: 7 }),
+        createMessage('setFeedback', { confirmed: {}, rejected: [] }),
+        null,
+        'ping'
+    ];
+    cases.forEach(message => assert.equal(validateRequest(message)?.code, PROTOCOL_ERRORS.INVALID_MESSAGE, JSON.stringify(message)));
+});
+
+test('replies are checked against the action, structured errors pass through', () => {
+    assert.equal(validateResponse('predictBatch', { results: [] }), null);
+    assert.equal(validateResponse('predictBatch', { results: 'none' }).code, PROTOCOL_ERRORS.INVALID_MESSAGE);
+    assert.equal(validateResponse('getModelStatus', undefined).code, PROTOCOL_ERRORS.INVALID_MESSAGE);
+
+    const timeout = protocol.protocolError(PROTOCOL_ERRORS.TIMEOUT, 'Sandbox timeout');
+    assert.equal(validateResponse('predict', timeout), null);
+    assert.equal(protocol.isProtocolError(timeout), true);
+});
+
+/**
+ * offscreen.js with a fake sandbox iframe that records what reaches it
+ */
+function loadOffscreen() {
+    const chrome = createExtensionChrome();
+    const posted = [];
+    const messageListeners = [];
+    const iframe = { contentWindow: { postMessage: (message) => posted.push(message) } };
+    const window = { addEventListener: (type, listener) => messageListeners.push(listener) };
+    const document = { getElementById: () => iframe };
+    loadScripts(['protocol.js', 'offscreen.js'], { chrome, window, document });
+    const fromSandbox = (source, data) => messageListeners.forEach(listener => listener({ source, data }));
+    return { chrome, posted, iframe, fromSandbox };
+}
+
+test('the offscreen bridge only takes requests from the background worker', async () => {
+    const { chrome, posted } = loadOffscreen();
+    const request = createMessage('ping');
+
+    const fromPopup = await sendRuntimeMessage(chrome, request, { url: 'chrome-extension://unit/popup.html' });
+    assert.equal(fromPopup, undefined);
+    assert.equal(posted.length, 0);
+
+    sendRuntimeMessage(chrome, request, { url: 'chrome-extension://unit/background.js' });
+    assert.equal(posted.length, 1);
+    assert.equal(posted[0].action, 'ping');
+});
+
+test('the offscreen bridge rejects invalid requests without bothering the sandbox', async () => {
+    const { chrome, posted } = loadOffscreen();
+    const reply = await sendRuntimeMessage(chrome, { ...createMessage('ping'), v: 0 }, { url: 'chrome-extension://unit/background.js' });
+    assert.equal(reply.code, PROTOCOL_ERRORS.VERSION_MISMATCH);
+    assert.equal(posted.length, 0);
+});
+
+test('the offscreen bridge ignores replies that do not come from its sandbox frame', async () => {
+    const { chrome, posted, iframe, fromSandbox } = loadOffscreen();
+    const reply = sendRuntimeMessage(chrome, createMessage('ping'), { url: 'chrome-extension://unit/background.js' });
+    const { id } = posted[0];
+
+    fromSandbox({}, { id, response: { pong: false } }); // Some other frame
+    fromSandbox(iframe.contentWindow, { id, response: { pong: 'yes' } }); // Malformed reply
+    const response = await reply;
+    assert.equal(response.code, PROTOCOL_ERRORS.INVALID_MESSAGE);
+});
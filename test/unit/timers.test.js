@@ -0,0 +1,67 @@
+/**
+ * Countdown deadlines recorded across visits (content.js recordTimerDeadline)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+function openDealPage(storage) {
+    return openPage('<p>Deal of the day</p>', { url: 'https://shop.test/deal', storage });
+}
+
+async function storedDeadlines(window) {
+    const { timerDeadlines } = await window.chrome.storage.local.get(['timerDeadlines']);
+    return timerDeadlines['https://shop.test/deal'];
+}
+
+test('timers evaluated together all keep their deadline', async (t) => {
+    const window = await openDealPage();
+    t.after(() => window.close());
+    const deadline = Date.now() + HOUR;
+
+    const verdicts = await Promise.all(['#a', '#b', '#c'].map(key => window.eval('recordTimerDeadline')(key, deadline)));
+    assert.deepEqual(verdicts, [false, false, false]);
+    assert.deepEqual(Object.keys(await storedDeadlines(window)).sort(), ['#a', '#b', '#c']);
+});
+
+test('a deadline that moved before the old one came is a reset', async (t) => {
+    const firstSeen = Date.now() - 10 * 60 * 1000;
+    const window = await openDealPage({
+        timerDeadlines: { 'https://shop.test/deal': { '#timer': { deadline: Date.now() + 5 * 60 * 1000, firstSeen, resets: 0 } } }
+    });
+    t.after(() => window.close());
+
+    assert.equal(await window.eval('recordTimerDeadline')('#timer', Date.now() + 15 * 60 * 1000), true);
+    const entry = (await storedDeadlines(window))['#timer'];
+    assert.equal(entry.resets, 1);
+    assert.equal(entry.firstSeen, firstSeen); // Still compared against the first deadline
+});
+
+test('the same deadline on a later visit is not a reset', async (t) => {
+    const deadline = Date.now() + HOUR;
+    const window = await openDealPage({
+        timerDeadlines: { 'https://shop.test/deal': { '#timer': { deadline, firstSeen: Date.now() - HOUR, resets: 0 } } }
+    });
+    t.after(() => window.close());
+
+    assert.equal(await window.eval('recordTimerDeadline')('#timer', deadline + 5000), false);
+});
+
+test('a deadline that has passed makes way for the next one', async (t) => {
+    const window = await openDealPage({
+        timerDeadlines: {
+            'https://shop.test/deal': { '#timer': { deadline: Date.now() - 2 * HOUR, firstSeen: Date.now() - 26 * HOUR, resets: 0 } },
+            'https://shop.test/old': { '#timer': { deadline: Date.now() - HOUR, firstSeen: Date.now() - 3 * HOUR, resets: 2 } }
+        }
+    });
+    t.after(() => window.close());
+    const tomorrow = Date.now() + 22 * HOUR;
+
+    assert.equal(await window.eval('recordTimerDeadline')('#timer', tomorrow), false);
+    const { timerDeadlines } = await window.chrome.storage.local.get(['timerDeadlines']);
+    assert.equal(timerDeadlines['https://shop.test/deal']['#timer'].deadline, tomorrow);
+    assert.equal(timerDeadlines['https://shop.test/old'], undefined); // Expired entries are dropped
+});